@@ -0,0 +1,90 @@
+const { loadAxios, sleep, waitFor } = require('./helpers')
+
+describe('token 过期自动刷新', () => {
+  // 只接受 server.token，其他 token 返回 401
+  function createAxios(options) {
+    const server = { token: 'new-token', requests: [] }
+    const { axios, platform } = loadAxios((apiName, requestOptions) => {
+      const authorization = requestOptions.header.Authorization
+      server.requests.push({ url: requestOptions.url, authorization })
+      if (server.accept ? !server.accept(requestOptions) : authorization !== 'Bearer ' + server.token) {
+        return { statusCode: 401, data: '{}' }
+      }
+      return { statusCode: 200, data: JSON.stringify({ url: requestOptions.url }) }
+    })
+    let token = 'old-token'
+    const refreshToken = jest.fn(() => sleep(10).then(() => {
+      token = server.token
+    }))
+    const instance = axios.create({})
+    instance.useAuth(Object.assign({ getToken: () => token, refreshToken }, options))
+    return { axios, instance, platform, server, refreshToken, setRefresh: fn => refreshToken.mockImplementation(fn) }
+  }
+
+  test('同时返回 401 的请求只刷新一次，使用新的 token 重新发送', async () => {
+    const { instance, server, refreshToken } = createAxios()
+    const responses = await Promise.all(['a', 'b', 'c'].map(path => instance.get('https://api.test/' + path)))
+
+    expect(refreshToken).toHaveBeenCalledTimes(1)
+    expect(responses.map(response => response.data.url)).toEqual(['https://api.test/a', 'https://api.test/b', 'https://api.test/c'])
+    const replays = server.requests.filter(request => request.authorization === 'Bearer new-token')
+    expect(replays.map(request => request.url).sort()).toEqual(['https://api.test/a', 'https://api.test/b', 'https://api.test/c'])
+    expect(server.requests).toHaveLength(6)
+  })
+
+  test('刷新期间发出的请求等待刷新完成后使用新的 token', async () => {
+    const { instance, server, refreshToken } = createAxios()
+    const first = instance.get('https://api.test/a')
+    await waitFor(() => refreshToken.mock.calls.length === 1)
+    const second = instance.get('https://api.test/b')
+    await Promise.all([first, second])
+
+    expect(refreshToken).toHaveBeenCalledTimes(1)
+    expect(server.requests.filter(request => request.url === 'https://api.test/b').map(request => request.authorization)).toEqual(['Bearer new-token'])
+  })
+
+  test('刷新失败时所有排队的请求一起失败', async () => {
+    const { instance, server, setRefresh } = createAxios()
+    setRefresh(() => sleep(10).then(() => Promise.reject(new Error('refresh failed'))))
+
+    const results = await Promise.all(['a', 'b', 'c'].map(path => instance.get('https://api.test/' + path).catch(err => err)))
+    expect(results.map(err => err.message)).toEqual(['refresh failed', 'refresh failed', 'refresh failed'])
+    expect(server.requests).toHaveLength(3)
+  })
+
+  test('重新发送后仍然返回 401 时不再刷新', async () => {
+    const { instance, server, refreshToken } = createAxios()
+    server.accept = () => false
+
+    const err = await instance.get('https://api.test/a').catch(e => e)
+    expect(err.status).toBe(401)
+    expect(refreshToken).toHaveBeenCalledTimes(1)
+    expect(server.requests).toHaveLength(2)
+  })
+
+  test('refreshWindow 时间内刷新次数超出 maxRefreshAttempts 时停止刷新', async () => {
+    const { instance, server, refreshToken } = createAxios({ maxRefreshAttempts: 2, refreshWindow: 60 * 1000 })
+    // 每个地址第一次请求返回 401，重新发送时成功
+    const seen = {}
+    server.accept = requestOptions => {
+      const accepted = !!seen[requestOptions.url]
+      seen[requestOptions.url] = true
+      return accepted
+    }
+
+    await instance.get('https://api.test/a')
+    await instance.get('https://api.test/b')
+    const err = await instance.get('https://api.test/c').catch(e => e)
+
+    expect(refreshToken).toHaveBeenCalledTimes(2)
+    expect(err.message).toBe('[Weapp-Axios] token 刷新过于频繁，已停止刷新！')
+  })
+
+  test('skipAuth 的请求不写入 token，也不触发刷新', async () => {
+    const { instance, server, refreshToken } = createAxios()
+    const err = await instance.get('https://api.test/public', { skipAuth: true }).catch(e => e)
+    expect(err.status).toBe(401)
+    expect(server.requests[0].authorization).toBeUndefined()
+    expect(refreshToken).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,57 @@
+const { loadAxios } = require('./helpers')
+
+function createAxios() {
+  let count = 0
+  const loaded = loadAxios(() => ({ statusCode: 200, data: JSON.stringify({ count: ++count }) }))
+  return loaded
+}
+
+describe('响应缓存', () => {
+  test('缓存有效期内直接返回缓存', async () => {
+    const { axios, platform } = createAxios()
+    const first = await axios.get('https://api.test/config', { cache: true })
+    const second = await axios.get('https://api.test/config', { cache: true })
+    expect(platform.calls).toHaveLength(1)
+    expect(second.fromCache).toBe(true)
+    expect(second.data).toEqual(first.data)
+  })
+
+  test('本地存储缓存的键名不包含 token 明文', async () => {
+    const { axios, platform } = createAxios()
+    const instance = axios.create({ token: 'secret-token' })
+    await instance.get('https://api.test/config', { cache: { storage: 'storage' } })
+
+    const stored = JSON.stringify(platform.storage.getInfo().keys) + JSON.stringify(platform.storage.getItem('Weapp-Axios:cache'))
+    expect(stored).toContain('https://api.test/config')
+    expect(stored).not.toContain('secret-token')
+
+    const cached = await instance.get('https://api.test/config', { cache: { storage: 'storage' } })
+    expect(cached.fromCache).toBe(true)
+  })
+
+  test('不同 token 的缓存相互隔离', async () => {
+    const { axios, platform } = createAxios()
+    await axios.get('https://api.test/me', { token: 'a', cache: true })
+    const other = await axios.get('https://api.test/me', { token: 'b', cache: true })
+    expect(other.fromCache).toBeFalsy()
+    expect(platform.calls).toHaveLength(2)
+  })
+
+  test('partition 相同时 token 刷新后仍命中缓存', async () => {
+    const { axios, platform } = createAxios()
+    const cache = { storage: 'storage', partition: () => 'user-1' }
+    await axios.get('https://api.test/me', { token: 'old', cache })
+    const refreshed = await axios.get('https://api.test/me', { token: 'new', cache })
+    expect(refreshed.fromCache).toBe(true)
+    expect(platform.calls).toHaveLength(1)
+  })
+
+  test('invalidate 按地址删除缓存', async () => {
+    const { axios, platform } = createAxios()
+    const cache = { storage: 'storage' }
+    await axios.get('https://api.test/city/list', { cache })
+    axios.cache.invalidate('/city/list')
+    await axios.get('https://api.test/city/list', { cache })
+    expect(platform.calls).toHaveLength(2)
+  })
+})
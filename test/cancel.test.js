@@ -0,0 +1,72 @@
+const { loadAxios, waitFor } = require('./helpers')
+
+describe('取消请求', () => {
+  function createAxios() {
+    return loadAxios({ delay: 100, handler: () => ({ statusCode: 200, data: '{}' }) })
+  }
+
+  test('CancelToken 中断进行中的请求任务', async () => {
+    const { axios, platform } = createAxios()
+    const source = axios.CancelToken.source()
+    const promise = axios.get('https://api.test/a', { cancelToken: source.token })
+    await waitFor(() => platform.calls.length === 1)
+    const abort = jest.spyOn(platform.calls[0].task, 'abort')
+    source.cancel('stop')
+
+    const err = await promise.catch(e => e)
+    expect(axios.isCancel(err)).toBe(true)
+    expect(err.message).toBe('stop')
+    expect(abort).toHaveBeenCalled()
+  })
+
+  test('已经取消的 CancelToken 不再发起请求', async () => {
+    const { axios, platform } = createAxios()
+    const source = axios.CancelToken.source()
+    source.cancel('canceled before send')
+
+    const err = await axios.get('https://api.test/a', { cancelToken: source.token }).catch(e => e)
+    expect(axios.isCancel(err)).toBe(true)
+    expect(err.message).toBe('canceled before send')
+    expect(platform.calls).toHaveLength(0)
+    expect(() => source.token.throwIfRequested()).toThrow('canceled before send')
+  })
+
+  test('signal 中断进行中的请求任务', async () => {
+    const { axios, platform } = createAxios()
+    const controller = new axios.AbortController()
+    const promise = axios.get('https://api.test/a', { signal: controller.signal })
+    await waitFor(() => platform.calls.length === 1)
+    const abort = jest.spyOn(platform.calls[0].task, 'abort')
+    controller.abort()
+
+    const err = await promise.catch(e => e)
+    expect(axios.isCancel(err)).toBe(true)
+    expect(err.code).toBe('ERR_CANCELED')
+    expect(abort).toHaveBeenCalled()
+  })
+
+  test('已经 abort 的 signal 不再发起请求，兼容标准的 AbortController', async () => {
+    const { axios, platform } = createAxios()
+    const controller = new axios.AbortController()
+    controller.abort()
+    const err = await axios.get('https://api.test/a', { signal: controller.signal }).catch(e => e)
+    expect(axios.isCancel(err)).toBe(true)
+
+    const native = new AbortController()
+    native.abort()
+    const nativeErr = await axios.get('https://api.test/a', { signal: native.signal }).catch(e => e)
+    expect(axios.isCancel(nativeErr)).toBe(true)
+    expect(platform.calls).toHaveLength(0)
+  })
+
+  test('同一个 CancelToken 取消多个请求', async () => {
+    const { axios, platform } = createAxios()
+    const source = axios.CancelToken.source()
+    const promises = [1, 2].map(id => axios.get('https://api.test/a', { params: { id }, cancelToken: source.token }).catch(e => e))
+    await waitFor(() => platform.calls.length === 2)
+    source.cancel()
+
+    const errors = await Promise.all(promises)
+    expect(errors.every(err => axios.isCancel(err))).toBe(true)
+  })
+})
@@ -0,0 +1,69 @@
+const crypto = require('crypto')
+const { loadAxios } = require('./helpers')
+
+describe('秒传', () => {
+  const content = Buffer.from('hello weapp-axios')
+  const md5 = crypto.createHash('md5').update(content).digest('hex')
+
+  function createAxios(uploaded) {
+    const loaded = loadAxios((apiName, options) => {
+      if (options.url === 'https://api.test/check') {
+        return { statusCode: 200, data: { uploaded: uploaded.includes(JSON.parse(options.data).hash) } }
+      }
+      return { statusCode: 200, data: JSON.stringify({ formData: options.formData }) }
+    })
+    loaded.platform.files['/tmp/a.png'] = new Uint8Array(content)
+    return loaded
+  }
+
+  const uploadCalls = platform => platform.calls.filter(call => call.apiName === 'uploadFile')
+
+  test('服务端已有文件时跳过上传', async () => {
+    const { axios, platform } = createAxios([md5])
+    const response = await axios.uploadFile('https://api.test/upload', '/tmp/a.png', 'file', {
+      dedupeByHash: { checkUrl: 'https://api.test/check' }
+    })
+    expect(response.uploaded).toBe(false)
+    expect(response.hash).toBe(md5)
+    expect(uploadCalls(platform)).toHaveLength(0)
+  })
+
+  test('服务端没有文件时上传，并将摘要添加到 hashField', async () => {
+    const { axios, platform } = createAxios([])
+    const response = await axios.uploadFile('https://api.test/upload', '/tmp/a.png', 'file', {
+      formData: { a: 1 },
+      dedupeByHash: { checkUrl: 'https://api.test/check', hashField: 'hash' }
+    })
+    expect(response.uploaded).toBe(true)
+    expect(response.hash).toBe(md5)
+    expect(response.data.formData).toEqual({ a: 1, hash: md5 })
+    expect(uploadCalls(platform)).toHaveLength(1)
+  })
+
+  test('使用实例默认的秒传配置，单次请求可以关闭', async () => {
+    const { axios, platform } = createAxios([md5])
+    const instance = axios.create({ dedupeByHash: { checkUrl: 'https://api.test/check' } })
+
+    const skipped = await instance.uploadFile('https://api.test/upload', '/tmp/a.png', 'file')
+    expect(skipped.uploaded).toBe(false)
+
+    const response = await instance.uploadFile('https://api.test/upload', '/tmp/a.png', 'file', { dedupeByHash: false })
+    expect(response.uploaded).toBeUndefined()
+    expect(uploadCalls(platform)).toHaveLength(1)
+  })
+
+  test('sha1 摘要', async () => {
+    const sha1 = crypto.createHash('sha1').update(content).digest('hex')
+    const { axios } = createAxios([sha1])
+    const response = await axios.uploadFile('https://api.test/upload', '/tmp/a.png', 'file', {
+      dedupeByHash: { checkUrl: 'https://api.test/check', algorithm: 'sha1' }
+    })
+    expect(response).toMatchObject({ uploaded: false, hash: sha1 })
+  })
+
+  test('缺少 checkUrl 时报错', async () => {
+    const { axios } = createAxios([])
+    await expect(axios.uploadFile('https://api.test/upload', '/tmp/a.png', 'file', { dedupeByHash: true }))
+      .rejects.toThrow('[Weapp-Axios] dedupeByHash 需要传入 checkUrl！')
+  })
+})
@@ -0,0 +1,63 @@
+const { loadAxios } = require('./helpers')
+
+function createAxios() {
+  return loadAxios({ delay: 10, handler: (apiName, options) => ({ statusCode: 200, data: JSON.stringify({ url: options.url }) }) })
+}
+
+describe('请求去重', () => {
+  test('相同的 GET 请求共用同一个请求，响应数据相互独立', async () => {
+    const { axios, platform } = createAxios()
+    const [a, b] = await Promise.all([axios.get('https://api.test/a'), axios.get('https://api.test/a')])
+    expect(platform.calls).toHaveLength(1)
+    a.data.changed = true
+    expect(b.data).toEqual({ url: 'https://api.test/a' })
+  })
+
+  test('dedupe: false 时不去重', async () => {
+    const { axios, platform } = createAxios()
+    await Promise.all([axios.get('https://api.test/a'), axios.get('https://api.test/a', { dedupe: false })])
+    expect(platform.calls).toHaveLength(2)
+  })
+
+  test('validateStatus 不同的请求不共用', async () => {
+    const { axios, platform } = createAxios()
+    await Promise.all([
+      axios.get('https://api.test/a'),
+      axios.get('https://api.test/a', { validateStatus: status => status === 200 })
+    ])
+    expect(platform.calls).toHaveLength(2)
+  })
+
+  test('transformResponse、retry 不同的请求不共用', async () => {
+    const { axios, platform } = createAxios()
+    const [plain, transformed] = await Promise.all([
+      axios.get('https://api.test/a'),
+      axios.get('https://api.test/a', { transformResponse: [data => 'custom:' + data] }),
+      axios.get('https://api.test/a', { retry: 2 })
+    ])
+    expect(platform.calls).toHaveLength(3)
+    expect(plain.data).toEqual({ url: 'https://api.test/a' })
+    expect(transformed.data).toBe('custom:' + JSON.stringify({ url: 'https://api.test/a' }))
+  })
+
+  test('设置了 task 的请求不参与去重', async () => {
+    const { axios, platform } = createAxios()
+    const onHeadersReceived = jest.fn()
+    await Promise.all([
+      axios.get('https://api.test/a'),
+      axios.get('https://api.test/a', { task: { onHeadersReceived } })
+    ])
+    expect(platform.calls).toHaveLength(2)
+  })
+
+  test('部分调用方取消时不中断共用的请求', async () => {
+    const { axios, platform } = createAxios()
+    const source = axios.CancelToken.source()
+    const canceled = axios.get('https://api.test/a', { cancelToken: source.token })
+    const kept = axios.get('https://api.test/a')
+    source.cancel('stop')
+    expect(axios.isCancel(await canceled.catch(e => e))).toBe(true)
+    expect((await kept).data).toEqual({ url: 'https://api.test/a' })
+    expect(platform.calls).toHaveLength(1)
+  })
+})
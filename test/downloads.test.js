@@ -0,0 +1,92 @@
+const { loadAxios, sleep, waitFor, toText, toArrayBuffer } = require('./helpers')
+
+describe('下载管理', () => {
+  const content = Buffer.from('0123456789abcdefghij')
+
+  // 支持 Range 的文件服务
+  function createAxios(options) {
+    const server = { requests: [], delay: 0 }
+    const loaded = loadAxios(Object.assign({
+      handler: (apiName, requestOptions) => {
+        server.requests.push(requestOptions.header.Range)
+        const [start, end] = /bytes=(\d+)-(\d+)/.exec(requestOptions.header.Range).slice(1).map(Number)
+        const last = Math.min(end, content.length - 1)
+        return sleep(server.delay).then(() => ({
+          statusCode: 206,
+          data: toArrayBuffer(content.slice(start, last + 1)),
+          header: {
+            'Content-Range': 'bytes ' + start + '-' + last + '/' + content.length,
+            'Content-Disposition': "attachment; filename*=UTF-8''%E6%8A%A5%E5%91%8A.pdf",
+            ETag: '"v1"'
+          }
+        }))
+      }
+    }, options))
+    loaded.axios.downloads.configure({ segmentSize: 8 })
+    return Object.assign(loaded, { server })
+  }
+
+  test('分段下载并追加写入用户文件目录', async () => {
+    const { axios, platform, server } = createAxios()
+    const progresses = []
+    const task = axios.downloads.add('https://cdn.test/report', { onProgressUpdate: event => progresses.push(event.totalBytesWritten) })
+    await task.wait()
+
+    expect(server.requests).toEqual(['bytes=0-7', 'bytes=8-15', 'bytes=16-23'])
+    expect(task.status).toBe('completed')
+    expect(task.filename).toBe('报告.pdf')
+    expect(task.filePath).toBe('memory://usr/Weapp-Axios-downloads/' + task.id + '/报告.pdf')
+    expect(toText(platform.files[task.filePath])).toBe(content.toString())
+    expect(progresses).toEqual([8, 16, 20])
+  })
+
+  test('暂停后立即继续，从已写入的位置继续下载', async () => {
+    const { axios, platform, server } = createAxios()
+    server.delay = 20
+    const task = axios.downloads.add('https://cdn.test/report')
+    await waitFor(() => task.receivedBytes === 8)
+    task.pause()
+    expect(task.status).toBe('paused')
+
+    task.resume()
+    await task.wait()
+    expect(server.requests.filter(range => range === 'bytes=0-7')).toHaveLength(1)
+    expect(toText(platform.files[task.filePath])).toBe(content.toString())
+  })
+
+  test('完成后打开文档、保存文件、保存到相册', async () => {
+    const { axios, platform } = createAxios()
+    const task = axios.downloads.add('https://cdn.test/report')
+    await expect(task.saveFile()).rejects.toThrow('[Weapp-Axios] 文件尚未下载完成！')
+    await task.wait()
+    await task.open()
+    // 文件已在用户文件目录中，不调用只接受临时文件的 wx.saveFile
+    expect(await task.saveFile()).toEqual({ savedFilePath: task.filePath })
+    await task.saveToAlbum()
+
+    expect(platform.calls.filter(call => call.apiName !== 'request').map(call => [call.apiName, call.options.filePath]))
+      .toEqual([['openDocument', task.filePath], ['saveImageToPhotosAlbum', task.filePath]])
+  })
+
+  test('运行平台没有用户文件目录时下载失败', async () => {
+    const { axios, platform } = createAxios()
+    platform.getUserDataPath = () => undefined
+    const task = axios.downloads.add('https://cdn.test/report')
+
+    await expect(task.wait()).rejects.toThrow('[Weapp-Axios] 当前运行平台没有用户文件目录 USER_DATA_PATH！')
+    expect(task.status).toBe('failed')
+    expect(Object.keys(platform.files).some(path => path.indexOf('undefined') === 0)).toBe(false)
+  })
+
+  test('重启后未完成的任务恢复为暂停状态', async () => {
+    const first = createAxios()
+    first.server.delay = 20
+    const task = first.axios.downloads.add('https://cdn.test/report')
+    await waitFor(() => task.receivedBytes === 8)
+    first.axios.downloads.pauseAll()
+
+    const restored = loadAxios({ handler: () => ({}) })
+    restored.platform.storage.setItem('Weapp-Axios:downloads', first.platform.storage.getItem('Weapp-Axios:downloads'))
+    expect(restored.axios.downloads.get(task.id)).toMatchObject({ status: 'paused', receivedBytes: 8, url: 'https://cdn.test/report' })
+  })
+})
@@ -0,0 +1,139 @@
+const { loadAxios } = require('./helpers')
+
+/**
+ * 创建与 wx 接口一致的宿主对象
+ *
+ * @param {Function} respond 返回 success 或 fail 的结果 respond(apiName, options)
+ */
+function createHost(respond, extra) {
+  const store = {}
+  const seen = []
+  function network(apiName) {
+    return function hostAPI(options) {
+      seen.push({ apiName, options })
+      setTimeout(() => {
+        const result = respond(apiName, options)
+        result.fail ? options.fail(result.fail) : options.success(result.success)
+      })
+      return { abort() {}, onProgressUpdate() {}, onHeadersReceived() {} }
+    }
+  }
+  return Object.assign({
+    seen,
+    store,
+    request: network('request'),
+    uploadFile: network('uploadFile'),
+    downloadFile: network('downloadFile'),
+    connectSocket: network('connectSocket'),
+    getStorageSync: key => store[key],
+    setStorageSync: (key, value) => { store[key] = value },
+    removeStorageSync: key => { delete store[key] },
+    getStorageInfoSync: () => ({ keys: Object.keys(store), currentSize: 1, limitSize: 10240 }),
+    getAccountInfoSync: () => ({ miniProgram: { envVersion: 'release' } })
+  }, extra)
+}
+
+describe('多平台驱动', () => {
+  test('未设置运行平台时根据全局对象识别', async () => {
+    const host = createHost(() => ({ success: { statusCode: 200, data: '{"ok":1}', header: {} } }), {
+      getEnvInfoSync: () => ({ microapp: { envType: 'production' } })
+    })
+    global.tt = host
+    try {
+      let axios
+      jest.isolateModules(() => {
+        axios = require('../weapp-axios')
+      })
+      const response = await axios.get('https://api.test/x')
+      expect(axios.getPlatform().name).toBe('tt')
+      expect(axios.getPlatform().getEnvVersion()).toBe('release')
+      expect(response.data).toEqual({ ok: 1 })
+    } finally {
+      delete global.tt
+    }
+  })
+
+  test('支付宝：请求头、响应结果、错误信息转换', async () => {
+    const { axios } = loadAxios()
+    const host = createHost((apiName, options) => {
+      if (options.url.endsWith('/500')) {
+        return { fail: { error: 19, errorMessage: 'http error', status: 500, data: '{"e":1}', headers: { 'X-A': '1' } } }
+      }
+      if (options.url.endsWith('/timeout')) {
+        return { fail: { error: 13, errorMessage: '超时' } }
+      }
+      if (apiName === 'downloadFile') {
+        return { success: { apFilePath: 'https://resource/apml.png' } }
+      }
+      return { success: { status: 200, data: '{"ok":1}', headers: { 'X-A': '1' } } }
+    }, {
+      getStorageSync: ({ key }) => ({ data: host.store[key] }),
+      setStorageSync: ({ key, data }) => { host.store[key] = data },
+      removeStorageSync: ({ key }) => { delete host.store[key] }
+    })
+    axios.setPlatform(axios.platforms.my(host))
+    const instance = axios.create({ baseURL: 'https://api.test', header: { 'X-T': '1' } })
+
+    const response = await instance.get('/x')
+    expect(response.status).toBe(200)
+    expect(response.data).toEqual({ ok: 1 })
+    expect(response.headers.get('x-a')).toBe('1')
+    expect(host.seen[0].options.headers['X-T']).toBe('1')
+    expect(host.seen[0].options.header).toBeUndefined()
+
+    const httpError = await instance.get('/500').catch(e => e)
+    expect(httpError.response.status).toBe(500)
+    expect(httpError.response.data).toEqual({ e: 1 })
+
+    const timeout = await instance.get('/timeout').catch(e => e)
+    expect(timeout.code).toBe(axios.AxiosError.ERR_TIMEOUT)
+
+    await instance.uploadFile({ url: '/upload', filePath: 'a.png', name: 'file' })
+    const upload = host.seen.find(item => item.apiName === 'uploadFile').options
+    expect(upload.fileName).toBe('file')
+    expect(upload.fileType).toBe('image')
+
+    const download = await instance.downloadFile({ url: '/file' })
+    expect(download.tempFilePath).toBe('https://resource/apml.png')
+
+    axios.getPlatform().storage.setItem('k', { v: 1 })
+    expect(host.store.k).toEqual({ v: 1 })
+    expect(axios.getPlatform().storage.getItem('k')).toEqual({ v: 1 })
+  })
+
+  test('支付宝：login 使用 getAuthCode', done => {
+    const { axios } = loadAxios()
+    const host = createHost(() => ({}), {
+      getAuthCode: options => options.success({ authCode: 'auth-code' })
+    })
+    axios.platforms.my(host).login({
+      success: res => {
+        expect(res.code).toBe('auth-code')
+        done()
+      }
+    })
+  })
+
+  test('百度、抖音的环境版本', () => {
+    const { axios } = loadAxios()
+    const swan = axios.platforms.swan(createHost(() => ({}), { getEnvInfoSync: () => ({ env: 'development' }) }))
+    const tt = axios.platforms.tt(createHost(() => ({}), { getEnvInfoSync: () => ({ microapp: { envType: 'preview' } }) }))
+    expect(swan.getEnvVersion()).toBe('develop')
+    expect(tt.getEnvVersion()).toBe('trial')
+  })
+
+  test('获取环境版本失败时按 release 处理', () => {
+    const { axios } = loadAxios()
+    const host = createHost(() => ({}), { getAccountInfoSync: () => { throw new Error('unsupported') } })
+    expect(axios.platforms.uni(host).getEnvVersion()).toBe('release')
+  })
+
+  test('Taro 需要手动传入宿主对象', async () => {
+    const { axios } = loadAxios()
+    const host = createHost(() => ({ success: { statusCode: 200, data: '{}', header: {} } }))
+    axios.setPlatform(axios.platforms.taro(host))
+    await axios.get('https://api.test/x')
+    expect(axios.getPlatform().name).toBe('taro')
+    expect(host.seen).toHaveLength(1)
+  })
+})
@@ -0,0 +1,51 @@
+const { loadAxios } = require('./helpers')
+
+describe('错误处理', () => {
+  function request(res, config) {
+    const { axios } = loadAxios(() => res)
+    return axios.request(Object.assign({ url: 'https://api.test/a' }, config)).catch(err => err)
+  }
+
+  test('根据 errMsg 设置错误码', async () => {
+    const timeout = await request({ errMsg: 'request:fail timeout' })
+    expect(timeout).toMatchObject({ name: 'AxiosError', code: 'ERR_TIMEOUT', errMsg: 'request:fail timeout' })
+
+    const network = await request({ errMsg: 'request:fail -101:net::ERR_CONNECTION_RESET' })
+    expect(network).toMatchObject({ code: 'ERR_NETWORK', message: '[Weapp-Axios] request:fail -101:net::ERR_CONNECTION_RESET' })
+    expect(network.response).toBeUndefined()
+
+    const { axios } = loadAxios(() => ({}))
+    const abort = await request({ errMsg: 'request:fail abort' })
+    expect(abort.code).toBe('ERR_CANCELED')
+    expect(axios.isCancel(abort)).toBe(true)
+  })
+
+  test('状态码未通过 validateStatus 时按 4xx\\5xx 设置错误码并保留响应结果', async () => {
+    const badRequest = await request({ statusCode: 404, data: '{"msg":"not found"}' })
+    expect(badRequest).toMatchObject({ code: 'ERR_BAD_REQUEST', status: 404, response: { status: 404, data: { msg: 'not found' } } })
+
+    const badResponse = await request({ statusCode: 502, data: '{}' })
+    expect(badResponse.code).toBe('ERR_BAD_RESPONSE')
+
+    const response = await request({ statusCode: 404, data: '{}' }, { validateStatus: status => status < 500 })
+    expect(response.status).toBe(404)
+  })
+
+  test('数据解析失败时为 ERR_PARSE，保留响应结果', async () => {
+    const err = await request({ statusCode: 200, data: '{invalid' })
+    expect(err.code).toBe('ERR_PARSE')
+    expect(err.response).toMatchObject({ status: 200, data: '{invalid' })
+  })
+
+  test('toJSON 不包含请求头以及 token', async () => {
+    const { axios } = loadAxios(() => ({ statusCode: 500, data: '{}' }))
+    const instance = axios.create({ header: { 'X-Secret': 's' } })
+    instance.useAuth({ getToken: () => 'secret-token', refreshToken: () => Promise.resolve() })
+    const err = await instance.get('https://api.test/a', { params: { id: 1 } }).catch(e => e)
+
+    const json = JSON.parse(JSON.stringify(err))
+    expect(json).toMatchObject({ name: 'AxiosError', code: 'ERR_BAD_RESPONSE', status: 500 })
+    expect(json.config).toEqual({ method: 'GET', baseURL: 'https://api.test', url: 'https://api.test/a', params: { id: 1 }, timeout: expect.anything() })
+    expect(JSON.stringify(err)).not.toMatch(/secret|Bearer/)
+  })
+})
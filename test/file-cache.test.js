@@ -0,0 +1,108 @@
+const { loadAxios, sleep, toText } = require('./helpers')
+
+describe('文件缓存', () => {
+  // 文件服务，versions 为地址对应的内容，ETag 与内容一致时返回 304
+  function createAxios(versions) {
+    const server = { requests: [], offline: false }
+    let platform
+    const loaded = loadAxios((apiName, options) => {
+      server.requests.push({ url: options.url, ifNoneMatch: options.header['If-None-Match'] })
+      if (server.offline) {
+        return { errMsg: 'downloadFile:fail network' }
+      }
+      const body = versions[options.url]
+      const etag = '"' + body + '"'
+      if (options.header['If-None-Match'] === etag) {
+        return sleep(10).then(() => ({ statusCode: 304, header: {} }))
+      }
+      return sleep(10).then(() => {
+        platform.files[options.filePath] = new Uint8Array(Buffer.from(body))
+        return { statusCode: 200, filePath: options.filePath, header: { ETag: etag, 'Content-Type': 'image/png' } }
+      })
+    })
+    platform = loaded.platform
+    return Object.assign(loaded, { server })
+  }
+
+  test('下载到用户文件目录，同一地址同时调用只下载一次', async () => {
+    const { axios, platform, server } = createAxios({ 'https://cdn.test/a.png': 'aaa' })
+    const [path, samePath] = await Promise.all([
+      axios.fileCache.get('https://cdn.test/a.png'),
+      axios.fileCache.get('https://cdn.test/a.png')
+    ])
+
+    expect(samePath).toBe(path)
+    expect(path).toMatch(/^memory:\/\/usr\/Weapp-Axios-files\/[0-9a-f]{32}\.png$/)
+    expect(toText(platform.files[path])).toBe('aaa')
+    expect(server.requests).toHaveLength(1)
+
+    await axios.fileCache.get('https://cdn.test/a.png')
+    expect(server.requests).toHaveLength(1)
+    expect(axios.fileCache.getInfo()).toEqual({ count: 1, size: 3, maxBytes: 50 * 1024 * 1024 })
+  })
+
+  test('过期后带上 If-None-Match 重新验证，304 时继续使用本地文件', async () => {
+    const versions = { 'https://cdn.test/a.png': 'aaa' }
+    const { axios, platform, server } = createAxios(versions)
+    const path = await axios.fileCache.get('https://cdn.test/a.png', { ttl: 0 })
+
+    expect(await axios.fileCache.get('https://cdn.test/a.png')).toBe(path)
+    expect(server.requests[1].ifNoneMatch).toBe('"aaa"')
+
+    versions['https://cdn.test/a.png'] = 'bbbb'
+    expect(await axios.fileCache.get('https://cdn.test/a.png', { force: true })).toBe(path)
+    expect(toText(platform.files[path])).toBe('bbbb')
+    expect(axios.fileCache.getInfo().size).toBe(4)
+  })
+
+  test('重新验证时网络异常返回过期的本地文件', async () => {
+    const { axios, server } = createAxios({ 'https://cdn.test/a.png': 'aaa' })
+    const path = await axios.fileCache.get('https://cdn.test/a.png', { ttl: 0 })
+    server.offline = true
+    expect(await axios.fileCache.get('https://cdn.test/a.png')).toBe(path)
+  })
+
+  test('超出 maxBytes 时删除最久未使用的文件', async () => {
+    const { axios, platform } = createAxios({
+      'https://cdn.test/a.png': 'aaaa',
+      'https://cdn.test/b.png': 'bbbb',
+      'https://cdn.test/c.png': 'cccc'
+    })
+    axios.fileCache.configure({ maxBytes: 8 })
+    const a = await axios.fileCache.get('https://cdn.test/a.png')
+    await sleep(5)
+    const b = await axios.fileCache.get('https://cdn.test/b.png')
+    await sleep(5)
+    await axios.fileCache.get('https://cdn.test/a.png')
+    await sleep(5)
+    await axios.fileCache.get('https://cdn.test/c.png')
+    await sleep(5)
+
+    expect(axios.fileCache.getInfo()).toMatchObject({ count: 2, size: 8 })
+    expect(platform.files[a]).toBeDefined()
+    expect(platform.files[b]).toBeUndefined()
+  })
+
+  test('索引保存在本地存储中，本地文件被清理后重新下载', async () => {
+    const first = createAxios({ 'https://cdn.test/a.png': 'aaa' })
+    const path = await first.axios.fileCache.get('https://cdn.test/a.png')
+
+    const { axios, platform, server } = createAxios({ 'https://cdn.test/a.png': 'aaa' })
+    platform.storage.setItem('Weapp-Axios:files', first.platform.storage.getItem('Weapp-Axios:files'))
+    platform.files[path] = first.platform.files[path]
+    expect(await axios.fileCache.get('https://cdn.test/a.png')).toBe(path)
+    expect(server.requests).toHaveLength(0)
+
+    delete platform.files[path]
+    expect(await axios.fileCache.get('https://cdn.test/a.png')).toBe(path)
+    expect(server.requests).toHaveLength(1)
+    expect(toText(platform.files[path])).toBe('aaa')
+  })
+
+  test('运行平台没有用户文件目录时返回错误', async () => {
+    const { axios, platform } = createAxios({ 'https://cdn.test/a.png': 'aaa' })
+    platform.getUserDataPath = () => undefined
+    await expect(axios.fileCache.get('https://cdn.test/a.png')).rejects.toThrow('[Weapp-Axios] 当前运行平台没有用户文件目录 USER_DATA_PATH！')
+    expect(axios.fileCache.pending).toEqual({})
+  })
+})
@@ -0,0 +1,58 @@
+/**
+ * 测试辅助函数
+ * 每次加载独立的 weapp-axios 模块，避免离线队列、下载管理等单例在用例之间共享状态
+ */
+
+/**
+ * 加载 weapp-axios 并设置内存运行平台
+ *
+ * @param {Object|Function} options 内存运行平台参数，传入函数时作为 handler
+ * @returns {Object} { axios, platform }
+ */
+function loadAxios(options) {
+  if (typeof options === 'function') {
+    options = { handler: options }
+  }
+  let axios
+  jest.isolateModules(() => {
+    axios = require('../weapp-axios')
+  })
+  const platform = axios.platforms.memory(Object.assign({ envVersion: 'release' }, options))
+  axios.setPlatform(platform)
+  // 用例统一使用 https://api.test 下的绝对地址
+  axios.defaults.baseURL = 'https://api.test'
+  return { axios, platform }
+}
+
+// 等待指定毫秒数
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms || 0))
+}
+
+// 等待条件成立，超时后报错
+function waitFor(predicate, timeout) {
+  const deadline = Date.now() + (timeout || 2000)
+  return new Promise((resolve, reject) => {
+    (function check() {
+      if (predicate()) {
+        return resolve()
+      }
+      if (Date.now() > deadline) {
+        return reject(new Error('waitFor timeout'))
+      }
+      setTimeout(check, 5)
+    })()
+  })
+}
+
+// ArrayBuffer 或 Uint8Array 转为字符串
+function toText(data) {
+  return Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data).toString()
+}
+
+// Buffer 转为独立的 ArrayBuffer
+function toArrayBuffer(buffer) {
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+}
+
+module.exports = { loadAxios, sleep, waitFor, toText, toArrayBuffer }
@@ -0,0 +1,95 @@
+const { loadAxios, sleep } = require('./helpers')
+
+describe('拦截器', () => {
+  function createAxios() {
+    return loadAxios((apiName, options) => ({ statusCode: 200, data: JSON.stringify({ header: options.header }) }))
+  }
+
+  test('请求拦截器可以异步返回配置对象，后添加的先执行', async () => {
+    const { axios, platform } = createAxios()
+    const order = []
+    axios.interceptors.request.use(async config => {
+      order.push('first')
+      await sleep(5)
+      config.header['x-token'] = 'async'
+      return config
+    })
+    axios.interceptors.request.use(config => {
+      order.push('second')
+      return config
+    })
+
+    await axios.get('https://api.test/a')
+    expect(order).toEqual(['second', 'first'])
+    expect(platform.calls[0].options.header['x-token']).toBe('async')
+  })
+
+  test('请求拦截器返回被拒绝的 Promise 时不发起请求', async () => {
+    const { axios, platform } = createAxios()
+    axios.interceptors.request.use(() => Promise.reject(new Error('not logged in')))
+    const responseRejected = jest.fn(err => Promise.reject(err))
+    axios.interceptors.response.use(response => response, responseRejected)
+
+    await expect(axios.get('https://api.test/a')).rejects.toThrow('not logged in')
+    expect(platform.calls).toHaveLength(0)
+    expect(responseRejected).toHaveBeenCalled()
+  })
+
+  test('synchronous 拦截器同步执行，错误由下一个拦截器的 onRejected 处理', async () => {
+    const { axios, platform } = createAxios()
+    let savedConfig
+    axios.interceptors.request.use(config => config, err => {
+      savedConfig.header['x-recovered'] = err.message
+      return savedConfig
+    }, { synchronous: true })
+    axios.interceptors.request.use(config => {
+      savedConfig = config
+      throw new Error('sync error')
+    }, null, { synchronous: true })
+
+    await axios.get('https://api.test/a')
+    expect(platform.calls[0].options.header['x-recovered']).toBe('sync error')
+
+    const { axios: syncAxios, platform: syncPlatform } = createAxios()
+    const interceptor = jest.fn(config => config)
+    syncAxios.interceptors.request.use(interceptor, null, { synchronous: true })
+    const syncPromise = syncAxios.get('https://api.test/a')
+    // 同步拦截器在调用时立即执行，不等待 Promise 链
+    expect(interceptor).toHaveBeenCalledTimes(1)
+    await syncPromise
+    expect(syncPlatform.calls).toHaveLength(1)
+  })
+
+  test('synchronous 拦截器抛出未处理的错误时不发起请求', async () => {
+    const { axios, platform } = createAxios()
+    axios.interceptors.request.use(() => { throw new Error('sync error') }, null, { synchronous: true })
+    await expect(axios.get('https://api.test/a')).rejects.toThrow('sync error')
+    expect(platform.calls).toHaveLength(0)
+  })
+
+  test('runWhen 返回 false 时跳过该拦截器', async () => {
+    const { axios, platform } = createAxios()
+    const interceptor = jest.fn(config => {
+      config.header['x-sign'] = '1'
+      return config
+    })
+    axios.interceptors.request.use(interceptor, null, { runWhen: config => config.method === 'POST' })
+
+    await axios.get('https://api.test/a')
+    await axios.post('https://api.test/a', {})
+    expect(interceptor).toHaveBeenCalledTimes(1)
+    expect(platform.calls[0].options.header['x-sign']).toBeUndefined()
+    expect(platform.calls[1].options.header['x-sign']).toBe('1')
+  })
+
+  test('eject 移除拦截器，响应拦截器按添加顺序执行', async () => {
+    const { axios } = createAxios()
+    const id = axios.interceptors.request.use(() => Promise.reject(new Error('ejected')))
+    axios.interceptors.request.eject(id)
+    axios.interceptors.response.use(response => Object.assign(response, { steps: ['a'] }))
+    axios.interceptors.response.use(response => Object.assign(response, { steps: response.steps.concat('b') }))
+
+    const response = await axios.get('https://api.test/a')
+    expect(response.steps).toEqual(['a', 'b'])
+  })
+})
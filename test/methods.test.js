@@ -0,0 +1,50 @@
+const { loadAxios, toText } = require('./helpers')
+
+describe('请求方法别名', () => {
+  function createAxios() {
+    return loadAxios(() => ({ statusCode: 200, data: '{}' }))
+  }
+
+  test('post 的第二个参数为请求体', async () => {
+    const { axios, platform } = createAxios()
+    await axios.post('https://api.test/order', { id: 1 })
+    expect(platform.calls[0].options.method).toBe('POST')
+    expect(platform.calls[0].options.data).toBe('{"id":1}')
+  })
+
+  test('post 发送 FormData', async () => {
+    const { axios, platform } = createAxios()
+    const form = new axios.FormData()
+    form.append('orderId', 1)
+    await axios.post('https://api.test/upload', form)
+
+    const { options } = platform.calls[0]
+    expect(options.header['content-type']).toBe('multipart/form-data; boundary=' + form.boundary)
+    expect(toText(options.data)).toContain('name="orderId"\r\n\r\n1\r\n')
+  })
+
+  test('post 发送 application/x-www-form-urlencoded 请求体', async () => {
+    const { axios, platform } = createAxios()
+    await axios.post('https://api.test/login', { username: 'a b', password: '1' }, {
+      header: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    })
+    expect(platform.calls[0].options.data).toBe('username=a%20b&password=1')
+  })
+
+  test('post 的请求体为 null 时使用第三个参数的配置', async () => {
+    const { axios, platform } = createAxios()
+    await axios.post('https://api.test/token/refresh', null, { header: { 'x-refresh': '1' } })
+    expect(platform.calls[0].options.method).toBe('POST')
+    expect(platform.calls[0].options.header['x-refresh']).toBe('1')
+  })
+
+  test('get 只传入两个参数时第二个参数为配置对象', async () => {
+    const { axios, platform } = createAxios()
+    await axios.get('https://api.test/search', { params: { keyword: 'a' } })
+    await axios.get('https://api.test/search', { page: 1 }, { header: { 'x-a': '1' } })
+
+    expect(platform.calls[0].options.url).toBe('https://api.test/search?keyword=a')
+    expect(platform.calls[1].options.data).toEqual({ page: 1 })
+    expect(platform.calls[1].options.header['x-a']).toBe('1')
+  })
+})
@@ -0,0 +1,118 @@
+const { loadAxios, sleep } = require('./helpers')
+
+describe('模拟请求', () => {
+  // 没有被模拟的请求由内存运行平台返回 { real: true }
+  function createAxios(options) {
+    const { axios, platform } = loadAxios(() => ({ statusCode: 200, data: '{"real":true}' }))
+    const instance = axios.create({ baseURL: 'https://api.test' })
+    const mock = instance.useMock(options)
+    return { axios, instance, platform, mock }
+  }
+
+  test('路径模板、正则以及按参数匹配', async () => {
+    const { instance, mock } = createAxios()
+    mock.onGet('/users/:id').reply((config, request) => [200, { id: request.pathParams.id }, { 'X-Mock': '1' }])
+    mock.onGet(/\/orders\/\d+$/).reply(200, { order: true })
+    mock.onPost('/users', { data: { name: 'Fred' } }).replyOnce(201, { created: true })
+
+    const user = await instance.get('/users/7')
+    expect(user.data).toEqual({ id: '7' })
+    expect(user.headers.get('x-mock')).toBe('1')
+    expect((await instance.get('/orders/12')).data).toEqual({ order: true })
+
+    const createUser = name => instance.request({ method: 'POST', url: '/users', data: { name } })
+    expect((await createUser('Fred')).status).toBe(201)
+    // replyOnce 只响应一次，之后没有匹配时返回 404
+    await expect(createUser('Fred')).rejects.toMatchObject({ status: 404 })
+    await expect(createUser('Bob')).rejects.toMatchObject({ status: 404 })
+  })
+
+  test('delay 以及 withDelay 延迟响应', async () => {
+    const { instance, mock } = createAxios({ delay: 40 })
+    mock.onGet('/default').reply(200, {})
+    mock.onGet('/fast').withDelay(0).reply(200, {})
+
+    let start = Date.now()
+    await instance.get('/default')
+    expect(Date.now() - start).toBeGreaterThanOrEqual(35)
+
+    start = Date.now()
+    await instance.get('/fast')
+    expect(Date.now() - start).toBeLessThan(35)
+  })
+
+  test('按 wx 接口的 errMsg 失败', async () => {
+    const { instance, mock } = createAxios()
+    mock.onGet('/timeout').timeout()
+    mock.onGet('/offline').networkError()
+    mock.onGet('/ssl').fail('fail ssl hand shake error')
+
+    await expect(instance.get('/timeout')).rejects.toMatchObject({ code: 'ERR_TIMEOUT', errMsg: 'request:fail timeout' })
+    await expect(instance.get('/offline')).rejects.toMatchObject({ code: 'ERR_NETWORK' })
+    await expect(instance.get('/ssl')).rejects.toMatchObject({ errMsg: 'request:fail ssl hand shake error' })
+  })
+
+  test('触发 onProgressUpdate、onChunkReceived 事件', async () => {
+    const { instance, mock } = createAxios()
+    mock.onUploadFile('/upload').withProgress([{ progress: 50 }, { progress: 100 }]).reply(200, { url: 'u' })
+    mock.onGet('/chat').withChunks(['a', 'b']).reply(200, {})
+
+    const progresses = []
+    const upload = await instance.uploadFile('/upload', 'tmp://a.png', 'file', {
+      task: { onProgressUpdate: res => progresses.push(res.progress) }
+    })
+    expect(upload.data).toEqual({ url: 'u' })
+    expect(progresses).toEqual([50, 100])
+
+    const chunks = []
+    await instance.get('/chat', { task: { onChunkReceived: res => chunks.push(res.data) } })
+    expect(chunks).toEqual(['a', 'b'])
+  })
+
+  test('模拟 wx.downloadFile 以及 wx.connectSocket', async () => {
+    const { instance, mock, platform } = createAxios()
+    mock.onDownloadFile('/file.pdf').reply(200)
+    mock.onConnectSocket('wss://api.test/ws').reply(() => ({ messages: ['hello'] }))
+
+    const download = await instance.downloadFile('/file.pdf', { filePath: 'usr://file.pdf' })
+    expect(download).toMatchObject({ status: 200, tempFilePath: 'wxfile://tmp/mock', filePath: 'usr://file.pdf' })
+
+    const messages = []
+    const socket = await instance.connectSocket('wss://api.test/ws', { task: { onMessage: res => messages.push(res.data) } })
+    await sleep(5)
+    expect(messages).toEqual(['hello'])
+    socket.request.send({ data: 'ping' })
+    expect(socket.request.messages).toEqual(['ping'])
+    expect(platform.calls).toHaveLength(0)
+  })
+
+  test('passThrough 以及 onNoMatch 发起真实请求', async () => {
+    const { instance, mock, platform } = createAxios()
+    mock.onGet(/\/real\//).passThrough()
+    expect((await instance.get('/real/a')).data).toEqual({ real: true })
+    await expect(instance.get('/other')).rejects.toMatchObject({ status: 404 })
+    expect(platform.calls).toHaveLength(1)
+
+    const passthrough = createAxios({ onNoMatch: 'passthrough' })
+    expect((await passthrough.instance.get('/other')).data).toEqual({ real: true })
+  })
+
+  test('请求记录、reset 以及 restore', async () => {
+    const { instance, mock, platform } = createAxios()
+    mock.onAny().reply(200, {})
+    await instance.get('/a?q=1')
+    await instance.request({ method: 'POST', url: '/b', data: { n: 1 } })
+
+    expect(mock.history.all.map(request => request.url)).toEqual(['https://api.test/a?q=1', 'https://api.test/b'])
+    expect(mock.history.get).toHaveLength(1)
+    expect(mock.history.post[0]).toMatchObject({ method: 'POST', adapterName: 'wx.request' })
+
+    mock.reset()
+    expect(mock.history.all).toHaveLength(0)
+    await expect(instance.get('/a')).rejects.toMatchObject({ status: 404 })
+
+    mock.restore()
+    expect((await instance.get('/a')).data).toEqual({ real: true })
+    expect(platform.calls).toHaveLength(1)
+  })
+})
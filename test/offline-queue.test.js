@@ -0,0 +1,95 @@
+const { loadAxios, sleep } = require('./helpers')
+
+function createPlatformHandler(log) {
+  return (apiName, options) => {
+    log.push(options.data)
+    if (options.url.endsWith('/conflict')) {
+      return { statusCode: 409, data: '{}' }
+    }
+    return { statusCode: 200, data: '{}' }
+  }
+}
+
+describe('离线请求队列', () => {
+  test('断网时入队，网络恢复后按顺序重新发送', async () => {
+    const sent = []
+    const { axios, platform } = loadAxios({ networkType: 'none', handler: createPlatformHandler(sent) })
+    axios.offlineQueue.configure({})
+    await sleep(5)
+
+    const res = await axios.request({ method: 'POST', url: 'https://api.test/form', data: { n: 1 }, offlineQueue: true })
+    await axios.request({ method: 'POST', url: 'https://api.test/form', data: { n: 2 }, offlineQueue: true })
+    expect(res.queued).toBe(true)
+    expect(axios.offlineQueue.list()).toHaveLength(2)
+
+    platform.setNetworkType('wifi')
+    await sleep(20)
+    expect(sent.map(data => JSON.parse(data).n)).toEqual([1, 2])
+    expect(axios.offlineQueue.list()).toHaveLength(0)
+  })
+
+  test('重新启动后不调用 configure 也会重新发送上次的请求', async () => {
+    const sent = []
+    const first = loadAxios({ networkType: 'none', handler: createPlatformHandler(sent) })
+    first.axios.offlineQueue.configure({})
+    await sleep(5)
+    await first.axios.request({ method: 'POST', url: 'https://api.test/form', data: { n: 1 }, offlineQueue: true })
+    expect(sent).toHaveLength(0)
+
+    // 重新加载模块模拟冷启动，本地存储保留
+    let axios
+    jest.isolateModules(() => {
+      axios = require('../weapp-axios')
+    })
+    const platform = axios.platforms.memory({ envVersion: 'release', handler: createPlatformHandler(sent) })
+    platform.storage.setItem('Weapp-Axios:offline', first.platform.storage.getItem('Weapp-Axios:offline'))
+    axios.setPlatform(platform)
+    await sleep(20)
+
+    expect(sent).toHaveLength(1)
+    expect(axios.offlineQueue.list()).toHaveLength(0)
+  })
+
+  test('保留的冲突请求移到队尾，不阻塞后面的请求', async () => {
+    const sent = []
+    const { axios, platform } = loadAxios({ networkType: 'none', handler: createPlatformHandler(sent) })
+    const onConflict = jest.fn(() => true)
+    axios.offlineQueue.configure({ onConflict })
+    await sleep(5)
+
+    await axios.request({ method: 'POST', url: 'https://api.test/conflict', data: { n: 1 }, offlineQueue: true })
+    await axios.request({ method: 'POST', url: 'https://api.test/form', data: { n: 2 }, offlineQueue: true })
+
+    platform.setNetworkType('wifi')
+    await sleep(20)
+
+    // 冲突的请求本次只发送一次
+    expect(sent.map(data => JSON.parse(data).n)).toEqual([1, 2])
+    expect(onConflict).toHaveBeenCalledTimes(1)
+    expect(axios.offlineQueue.list().map(item => item.config.url)).toEqual(['https://api.test/conflict'])
+  })
+
+  test('队列中不保存 token，重新发送时使用实例当前的 token', async () => {
+    const headers = []
+    let online = false
+    const { axios, platform } = loadAxios((apiName, options) => {
+      headers.push(options.header.Authorization)
+      return online ? { statusCode: 200, data: '{}' } : { errMsg: 'request:fail -101:net::ERR_CONNECTION_RESET' }
+    })
+    let token = 'old-token'
+    const instance = axios.create({})
+    instance.useAuth({ getToken: () => token, refreshToken: () => Promise.resolve() })
+    axios.offlineQueue.configure({ instance })
+    await sleep(5)
+
+    const res = await instance.request({ method: 'POST', url: 'https://api.test/form', data: { n: 1 }, offlineQueue: true })
+    expect(res.queued).toBe(true)
+    expect(JSON.stringify(platform.storage.getItem('Weapp-Axios:offline'))).not.toMatch(/old-token|Authorization/)
+
+    token = 'new-token'
+    online = true
+    await axios.offlineQueue.replay()
+    expect(headers).toEqual(['Bearer old-token', 'Bearer new-token'])
+    expect(axios.offlineQueue.list()).toHaveLength(0)
+  })
+})
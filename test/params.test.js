@@ -0,0 +1,46 @@
+const { loadAxios } = require('./helpers')
+
+function createAxios() {
+  return loadAxios(() => ({ statusCode: 200, data: '{}' }))
+}
+
+async function requestURL(axios, platform, url, config) {
+  await axios.get(url, Object.assign({ dedupe: false }, config))
+  return platform.calls[platform.calls.length - 1].options.url
+}
+
+describe('请求参数', () => {
+  test('编码参数并保留已有的查询参数以及 hash', async () => {
+    const { axios, platform } = createAxios()
+    const url = await requestURL(axios, platform, 'https://api.test/search?page=1#list', {
+      params: { keyword: '咖啡&茶', empty: undefined, none: null, range: { min: 1 } }
+    })
+    expect(url).toBe('https://api.test/search?page=1&keyword=%E5%92%96%E5%95%A1%26%E8%8C%B6&range[min]=1#list')
+  })
+
+  test('日期转换为 ISO 格式', async () => {
+    const { axios, platform } = createAxios()
+    const url = await requestURL(axios, platform, 'https://api.test/a', { params: { at: new Date(Date.UTC(2024, 0, 2)) } })
+    expect(url).toBe('https://api.test/a?at=2024-01-02T00%3A00%3A00.000Z')
+  })
+
+  test.each([
+    ['brackets', 'tags[]=a&tags[]=b'],
+    ['indices', 'tags[0]=a&tags[1]=b'],
+    ['repeat', 'tags=a&tags=b'],
+    ['comma', 'tags=a,b']
+  ])('数组格式 %s', async (arrayFormat, query) => {
+    const { axios, platform } = createAxios()
+    const url = await requestURL(axios, platform, 'https://api.test/a', { params: { tags: ['a', 'b'] }, paramsSerializer: { arrayFormat } })
+    expect(url).toBe('https://api.test/a?' + query)
+  })
+
+  test('自定义序列化函数', async () => {
+    const { axios, platform } = createAxios()
+    const url = await requestURL(axios, platform, 'https://api.test/a', {
+      params: { a: 1 },
+      paramsSerializer: params => 'custom=' + params.a
+    })
+    expect(url).toBe('https://api.test/a?custom=1')
+  })
+})
@@ -0,0 +1,55 @@
+const { loadAxios } = require('./helpers')
+
+function createAxios() {
+  return loadAxios(() => ({ statusCode: 200, data: '{}' }))
+}
+
+async function requestURL(axios, platform, url, config) {
+  await axios.get(url, Object.assign({ dedupe: false }, config))
+  return platform.calls[platform.calls.length - 1].options.url
+}
+
+describe('路径参数', () => {
+  test('使用 pathParams 以及 params 填充并编码', async () => {
+    const { axios, platform } = createAxios()
+    const url = await requestURL(axios, platform, 'https://api.test/shops/:shopId/items/{itemId}', {
+      pathParams: { shopId: 1 },
+      params: { itemId: 'a/b', page: 2 }
+    })
+    expect(url).toBe('https://api.test/shops/1/items/a%2Fb?page=2')
+  })
+
+  test('baseURL 与相对路径模板', async () => {
+    const { axios, platform } = createAxios()
+    const instance = axios.create({ baseURL: 'https://api.test:8080/v1' })
+    await instance.get('users/:id', { pathParams: { id: 7 } })
+    expect(platform.calls[0].options.url).toBe('https://api.test:8080/v1/users/7')
+  })
+
+  test('缺少路径参数时请求失败', async () => {
+    const { axios } = createAxios()
+    await expect(axios.get('https://api.test/users/:id')).rejects.toThrow(/缺少路径参数 id/)
+  })
+
+  test('路径片段中间的冒号不是路径参数', async () => {
+    const { axios, platform } = createAxios()
+    expect(await requestURL(axios, platform, 'https://x.com/v1/users:search')).toBe('https://x.com/v1/users:search')
+    expect(await requestURL(axios, platform, 'https://x.com/v1/projects/:id:undelete', { pathParams: { id: 3 } })).toBe('https://x.com/v1/projects/3:undelete')
+  })
+
+  test('对象存储地址中的冒号以及查询参数不会被处理', async () => {
+    const { axios, platform } = createAxios()
+    const url = 'https://bucket.s3.com/a:b.png?X-Amz=1&redirect=https://x.com/:id'
+    expect(await requestURL(axios, platform, url)).toBe(url)
+  })
+
+  test('模拟请求按路径模板匹配', async () => {
+    const { axios } = createAxios()
+    const mock = new axios.MockAdapter(axios)
+    mock.onGet('https://api.test/users/:id').reply(200, { matched: 'user' })
+    mock.onGet('https://api.test/users:search').reply(200, { matched: 'search' })
+
+    expect((await axios.get('https://api.test/users/1')).data).toEqual({ matched: 'user' })
+    expect((await axios.get('https://api.test/users:search')).data).toEqual({ matched: 'search' })
+  })
+})
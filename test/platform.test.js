@@ -0,0 +1,112 @@
+const { loadAxios } = require('./helpers')
+
+describe('运行平台', () => {
+  test('未设置运行平台时请求失败并提示 setPlatform', async () => {
+    let axios
+    jest.isolateModules(() => {
+      axios = require('../weapp-axios')
+    })
+    await expect(axios.get('https://api.test/x')).rejects.toThrow(/setPlatform/)
+  })
+
+  test('setPlatform 校验运行平台对象', () => {
+    const { axios } = loadAxios()
+    expect(() => axios.setPlatform({})).toThrow(/request storage/)
+  })
+
+  test('内存运行平台执行完整的拦截器、适配器流程', async () => {
+    const { axios, platform } = loadAxios((apiName, options) => ({
+      statusCode: 200,
+      data: JSON.stringify({ url: options.url, token: options.header.token }),
+      header: { 'X-Request-Id': '1' }
+    }))
+    const instance = axios.create({ baseURL: 'https://api.test' })
+    instance.interceptors.request.use(config => {
+      config.header.token = 'abc'
+      return config
+    })
+    instance.interceptors.response.use(response => {
+      response.data.intercepted = true
+      return response
+    })
+
+    const response = await instance.get('/users')
+
+    expect(response.status).toBe(200)
+    expect(response.data).toEqual({ url: 'https://api.test/users', token: 'abc', intercepted: true })
+    expect(response.headers.get('x-request-id')).toBe('1')
+    expect(platform.calls).toHaveLength(1)
+    expect(platform.calls[0].apiName).toBe('request')
+    expect(platform.calls[0].options.method).toBe('GET')
+  })
+
+  test('默认响应为 404 并按 validateStatus 拒绝', async () => {
+    const { axios } = loadAxios()
+    const err = await axios.get('https://api.test/missing').catch(e => e)
+    expect(err.isAxiosError).toBe(true)
+    expect(err.response.status).toBe(404)
+  })
+
+  test('handler 抛出错误时转换为网络错误', async () => {
+    const { axios } = loadAxios(() => {
+      throw new Error('offline')
+    })
+    const err = await axios.get('https://api.test/x').catch(e => e)
+    expect(err.code).toBe(axios.AxiosError.ERR_NETWORK)
+  })
+
+  test('取消请求时中断内存请求任务', async () => {
+    const { axios } = loadAxios({ delay: 50, handler: () => ({ statusCode: 200, data: '{}' }) })
+    const source = axios.CancelToken.source()
+    const promise = axios.get('https://api.test/slow', { cancelToken: source.token })
+    source.cancel('stop')
+    const err = await promise.catch(e => e)
+    expect(axios.isCancel(err)).toBe(true)
+  })
+
+  test('内存存储以及开发环境的本地日志', async () => {
+    const logs = []
+    const { axios, platform } = loadAxios({
+      envVersion: 'develop',
+      console: { log: (...args) => logs.push(args), warn: () => {}, error: () => {} },
+      handler: () => ({ statusCode: 200, data: '{}' })
+    })
+    expect(axios.getPlatform()).toBe(platform)
+    expect(platform.getEnvVersion()).toBe('develop')
+
+    platform.storage.setItem('a', { b: 1 })
+    const value = platform.storage.getItem('a')
+    value.b = 2
+    expect(platform.storage.getItem('a')).toEqual({ b: 1 })
+
+    await axios.get('https://api.test/x')
+    expect(logs.length).toBeGreaterThan(0)
+  })
+
+  test('内存文件系统', done => {
+    const { platform } = loadAxios()
+    const fs = platform.getFileSystemManager()
+    fs.writeFile({
+      filePath: '/a.txt',
+      data: 'hello',
+      encoding: 'utf8',
+      success: () => {
+        fs.appendFile({
+          filePath: '/a.txt',
+          data: ' world',
+          encoding: 'utf8',
+          success: () => {
+            fs.readFile({
+              filePath: '/a.txt',
+              encoding: 'utf8',
+              success: res => {
+                expect(res.data).toBe('hello world')
+                done()
+              }
+            })
+          }
+        })
+      }
+    })
+  })
+})
@@ -0,0 +1,66 @@
+const crypto = require('crypto')
+const { loadAxios } = require('./helpers')
+
+describe('直传对象存储', () => {
+  const content = Buffer.from('presigned upload')
+
+  function createAxios() {
+    const loaded = loadAxios((apiName, options) => {
+      if (options.url === 'https://api.test/check') {
+        return { statusCode: 200, data: { uploaded: true } }
+      }
+      return { statusCode: 200, data: options.url.startsWith('https://bucket.test') ? '' : '{}' }
+    })
+    loaded.platform.files['/tmp/a.jpg'] = new Uint8Array(content)
+    return loaded
+  }
+
+  test('PUT 发送文件内容以及签名需要的请求头，不带实例的默认请求头', async () => {
+    const { axios, platform } = createAxios()
+    const instance = axios.create({ header: { 'X-Token': 'secret', common: { 'X-App': '1' } } })
+    const progresses = []
+    await instance.uploadToPresigned({
+      filePath: '/tmp/a.jpg',
+      url: 'https://bucket.test/a.jpg?X-Amz-Signature=1',
+      headers: { 'X-Amz-Meta-User': '1' },
+      onProgressUpdate: event => progresses.push(event.progress)
+    })
+
+    const { options } = platform.calls[0]
+    expect(options.method).toBe('PUT')
+    expect(Buffer.from(options.data)).toEqual(content)
+    expect(options.header).toEqual({
+      'content-type': 'image/jpeg',
+      'X-Amz-Meta-User': '1',
+      'content-md5': crypto.createHash('md5').update(content).digest('base64')
+    })
+    expect(progresses).toEqual([0, 100])
+  })
+
+  test('POST Policy 通过 uploadFile 发送表单，不使用实例的秒传以及默认请求头', async () => {
+    const { axios, platform } = createAxios()
+    const instance = axios.create({
+      header: { 'X-Token': 'secret' },
+      dedupeByHash: { checkUrl: 'https://api.test/check' }
+    })
+    await instance.uploadToPresigned({
+      filePath: '/tmp/a.jpg',
+      url: 'https://bucket.test',
+      method: 'POST',
+      fields: { key: 'a.jpg', policy: 'p' }
+    })
+
+    expect(platform.calls).toHaveLength(1)
+    const { apiName, options } = platform.calls[0]
+    expect(apiName).toBe('uploadFile')
+    expect(options.formData).toEqual({ key: 'a.jpg', policy: 'p' })
+    expect(options.header).toEqual({ 'content-type': 'multipart/form-data' })
+  })
+
+  test('请求头设置为 null 时不发送', async () => {
+    const { axios, platform } = createAxios()
+    const instance = axios.create({ header: { 'X-Token': 'secret' } })
+    await instance.get('https://api.test/a', { header: { 'x-token': null } })
+    expect(platform.calls[0].options.header).toEqual({ 'content-type': 'application/json' })
+  })
+})
@@ -0,0 +1,68 @@
+const { loadAxios } = require('./helpers')
+
+describe('响应结构', () => {
+  const SHAPE_KEYS = ['data', 'status', 'statusText', 'headers', 'config', 'request', 'errMsg', 'queueTime']
+
+  function createAxios(options) {
+    return loadAxios(Object.assign({
+      handler: (apiName, requestOptions) => {
+        if (apiName === 'request') {
+          return { statusCode: 200, data: '{"id":1}', header: { 'Content-Type': 'application/json', 'X-Trace-Id': 't1' }, cookies: ['a=1'], profile: { rtt: 1 } }
+        }
+        if (apiName === 'uploadFile') {
+          return { statusCode: 201, data: '{"url":"u"}', header: { 'X-Trace-Id': 't2' } }
+        }
+        if (apiName === 'downloadFile') {
+          return { statusCode: 200, tempFilePath: 'tmp://a.png', filePath: requestOptions.filePath, header: { 'Content-Type': 'image/png' } }
+        }
+        return {}
+      }
+    }, options))
+  }
+
+  test('wx.request 的响应结果，headers.get 不区分大小写', async () => {
+    const { axios, platform } = createAxios()
+    const response = await axios.get('https://api.test/a')
+
+    expect(Object.keys(response)).toEqual(expect.arrayContaining(SHAPE_KEYS.concat('cookies', 'profile')))
+    expect(response).toMatchObject({ data: { id: 1 }, status: 200, statusText: 'OK', errMsg: 'request:ok', cookies: ['a=1'], profile: { rtt: 1 } })
+    expect(response.request).toBe(platform.calls[0].task)
+    expect(response.headers.get('x-trace-id')).toBe('t1')
+    expect(response.headers.get('CONTENT-TYPE')).toBe('application/json')
+    expect(response.statusCode).toBeUndefined()
+    expect(response.header).toBeUndefined()
+  })
+
+  test('wx.uploadFile 的响应结果', async () => {
+    const { axios } = createAxios()
+    const response = await axios.uploadFile('https://api.test/upload', 'tmp://a.png', 'file')
+    expect(Object.keys(response)).toEqual(expect.arrayContaining(SHAPE_KEYS))
+    expect(response).toMatchObject({ data: { url: 'u' }, status: 201, statusText: 'Created', errMsg: 'uploadFile:ok' })
+    expect(response.headers.get('X-TRACE-ID')).toBe('t2')
+  })
+
+  test('wx.downloadFile 的响应结果保留 tempFilePath、filePath', async () => {
+    const { axios } = createAxios()
+    const response = await axios.downloadFile('https://cdn.test/a.png', { filePath: 'usr://a.png' })
+    expect(Object.keys(response)).toEqual(expect.arrayContaining(SHAPE_KEYS))
+    expect(response).toMatchObject({ status: 200, tempFilePath: 'tmp://a.png', filePath: 'usr://a.png', errMsg: 'downloadFile:ok' })
+    expect(response.headers.get('content-type')).toBe('image/png')
+  })
+
+  test('wx.connectSocket 的响应结果', async () => {
+    const { axios, platform } = createAxios()
+    const response = await axios.connectSocket('wss://api.test/ws')
+    expect(Object.keys(response)).toEqual(expect.arrayContaining(SHAPE_KEYS))
+    expect(response.errMsg).toBe('connectSocket:ok')
+    expect(response.request).toBe(platform.calls[0].task)
+  })
+
+  test('legacyResponse 额外保留 statusCode、header 等原始字段', async () => {
+    const { axios } = createAxios()
+    const instance = axios.create({ legacyResponse: true })
+    const response = await instance.get('https://api.test/a')
+    expect(response).toMatchObject({ status: 200, statusCode: 200, data: { id: 1 } })
+    expect(response.header['X-Trace-Id']).toBe('t1')
+    expect(response.headers.get('x-trace-id')).toBe('t1')
+  })
+})
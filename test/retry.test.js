@@ -0,0 +1,96 @@
+const { loadAxios, sleep, waitFor } = require('./helpers')
+
+describe('请求重试', () => {
+  // responses 依次作为每次请求的结果，用完后返回 200
+  function createAxios(responses) {
+    const times = []
+    const loaded = loadAxios(() => {
+      times.push(Date.now())
+      return responses.shift() || { statusCode: 200, data: '{"ok":true}' }
+    })
+    return Object.assign(loaded, { times })
+  }
+
+  const fastRetry = retries => ({ retries, baseDelay: 1, jitter: false })
+
+  test('503 以及网络错误时重试', async () => {
+    const { axios, times } = createAxios([
+      { statusCode: 503, data: '{}' },
+      { errMsg: 'request:fail -101:net::ERR_CONNECTION_RESET' },
+      { errMsg: 'request:fail timeout' }
+    ])
+    const response = await axios.get('https://api.test/a', { retry: fastRetry(3) })
+    expect(response.data).toEqual({ ok: true })
+    expect(times).toHaveLength(4)
+  })
+
+  test('超出重试次数后返回最后一次的错误', async () => {
+    const { axios, times } = createAxios([{ statusCode: 503, data: '{}' }, { statusCode: 502, data: '{}' }])
+    const err = await axios.get('https://api.test/a', { retry: fastRetry(1) }).catch(e => e)
+    expect(err.status).toBe(502)
+    expect(times).toHaveLength(2)
+  })
+
+  test('默认不重试 4xx 以及非幂等的请求方法', async () => {
+    const notFound = createAxios([{ statusCode: 404, data: '{}' }])
+    await expect(notFound.axios.get('https://api.test/a', { retry: fastRetry(2) })).rejects.toMatchObject({ status: 404 })
+    expect(notFound.times).toHaveLength(1)
+
+    const post = createAxios([{ statusCode: 503, data: '{}' }])
+    await expect(post.axios.post('https://api.test/a', {}, { retry: fastRetry(2) })).rejects.toMatchObject({ status: 503 })
+    expect(post.times).toHaveLength(1)
+
+    // 显式传入 methods 后可以重试 POST
+    const allowed = createAxios([{ statusCode: 503, data: '{}' }])
+    await allowed.axios.post('https://api.test/a', {}, { retry: Object.assign(fastRetry(2), { methods: ['post'] }) })
+    expect(allowed.times).toHaveLength(2)
+  })
+
+  test('指数退避，等待时间不超过 maxDelay', async () => {
+    const { axios, times } = createAxios([
+      { statusCode: 500, data: '{}' },
+      { statusCode: 500, data: '{}' },
+      { statusCode: 500, data: '{}' }
+    ])
+    await axios.get('https://api.test/a', { retry: { retries: 3, baseDelay: 20, maxDelay: 50, jitter: false } })
+    const delays = times.slice(1).map((time, index) => time - times[index])
+    expect(delays[0]).toBeGreaterThanOrEqual(18)
+    expect(delays[1]).toBeGreaterThanOrEqual(38)
+    expect(delays[2]).toBeGreaterThanOrEqual(48)
+    expect(delays[2]).toBeLessThan(delays[1] + 40)
+  })
+
+  test('Retry-After 优先于指数退避，支持秒数以及 HTTP 日期', async () => {
+    // 秒数
+    const seconds = createAxios([{ statusCode: 429, data: '{}', header: { 'Retry-After': '0' } }])
+    const start = Date.now()
+    await seconds.axios.get('https://api.test/a', { retry: { retries: 1, baseDelay: 5000, jitter: false } })
+    expect(Date.now() - start).toBeLessThan(1000)
+
+    // 已经过去的 HTTP 日期立即重试
+    const past = createAxios([{ statusCode: 503, data: '{}', header: { 'Retry-After': new Date(Date.now() - 60000).toUTCString() } }])
+    const pastStart = Date.now()
+    await past.axios.get('https://api.test/a', { retry: { retries: 1, baseDelay: 5000, jitter: false } })
+    expect(Date.now() - pastStart).toBeLessThan(1000)
+
+    // 未来的 HTTP 日期，等待时间同样不超过 maxDelay
+    const future = createAxios([{ statusCode: 503, data: '{}', header: { 'Retry-After': new Date(Date.now() + 60000).toUTCString() } }])
+    await future.axios.get('https://api.test/a', { retry: { retries: 1, baseDelay: 1, maxDelay: 80, jitter: false } })
+    expect(future.times[1] - future.times[0]).toBeGreaterThanOrEqual(75)
+  })
+
+  test('等待重试期间取消请求立即结束', async () => {
+    const { axios, times } = createAxios([{ statusCode: 503, data: '{}' }])
+    const source = axios.CancelToken.source()
+    const promise = axios.get('https://api.test/a', { cancelToken: source.token, retry: { retries: 2, baseDelay: 5000, jitter: false } })
+    await waitFor(() => times.length === 1)
+    await sleep(10)
+    source.cancel('stop')
+
+    const start = Date.now()
+    const err = await promise.catch(e => e)
+    expect(axios.isCancel(err)).toBe(true)
+    expect(Date.now() - start).toBeLessThan(1000)
+    expect(times).toHaveLength(1)
+  })
+})
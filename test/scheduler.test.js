@@ -0,0 +1,77 @@
+const { loadAxios, sleep, waitFor } = require('./helpers')
+
+describe('请求调度', () => {
+  // 请求在 release 调用前不返回
+  function createAxios() {
+    const pending = []
+    const loaded = loadAxios(() => new Promise(resolve => {
+      pending.push(() => resolve({ statusCode: 200, data: '{}' }))
+    }))
+    return Object.assign(loaded, {
+      release: () => pending.shift()(),
+      urls: () => loaded.platform.calls.map(call => call.options.url.replace('https://api.test/', ''))
+    })
+  }
+
+  test('超出并发数的请求按优先级排队，同一优先级先进先出', async () => {
+    const { axios, release, urls } = createAxios()
+    axios.scheduler.setConcurrency('wx.request', 1)
+
+    const promises = [
+      axios.get('https://api.test/first'),
+      axios.get('https://api.test/low', { priority: 'low' }),
+      axios.get('https://api.test/normal'),
+      axios.get('https://api.test/high-1', { priority: 'high' }),
+      axios.get('https://api.test/high-2', { priority: 'high' })
+    ]
+    await waitFor(() => urls().length === 1)
+    await sleep(5)
+    expect(axios.scheduler.stats()['wx.request']).toMatchObject({ limit: 1, running: 1, queued: 4, queuedByPriority: { high: 2, normal: 1, low: 1 } })
+
+    for (let count = 2; count <= 5; count++) {
+      release()
+      await waitFor(() => urls().length === count)
+    }
+    release()
+
+    const responses = await Promise.all(promises)
+    expect(urls()).toEqual(['first', 'high-1', 'high-2', 'normal', 'low'])
+    expect(responses[4].queueTime).toBeGreaterThan(0)
+    expect(axios.scheduler.stats()['wx.request']).toMatchObject({ running: 0, queued: 0, started: 5 })
+  })
+
+  test('排队期间取消的请求移出队列，不占用并发数', async () => {
+    const { axios, release, urls } = createAxios()
+    axios.scheduler.setConcurrency('wx.request', 1)
+    const source = axios.CancelToken.source()
+
+    const first = axios.get('https://api.test/first')
+    const canceled = axios.get('https://api.test/canceled', { cancelToken: source.token })
+    const next = axios.get('https://api.test/next')
+    await waitFor(() => urls().length === 1)
+    await sleep(5)
+
+    source.cancel('leave queue')
+    const err = await canceled.catch(e => e)
+    expect(axios.isCancel(err)).toBe(true)
+    expect(axios.scheduler.stats()['wx.request'].queued).toBe(1)
+
+    release()
+    await waitFor(() => urls().length === 2)
+    release()
+    await Promise.all([first, next])
+    expect(urls()).toEqual(['first', 'next'])
+  })
+
+  test('不同接口的并发数相互独立', async () => {
+    const { axios, platform, urls } = createAxios()
+    axios.scheduler.setConcurrency('wx.request', 1)
+    axios.get('https://api.test/a')
+    axios.get('https://api.test/b')
+    axios.uploadFile('https://api.test/upload', 'tmp://a.png', 'file')
+    await waitFor(() => platform.calls.length === 2)
+    await sleep(5)
+    expect(platform.calls.map(call => call.apiName)).toEqual(expect.arrayContaining(['request', 'uploadFile']))
+    expect(urls()).not.toContain('b')
+  })
+})
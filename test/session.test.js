@@ -0,0 +1,48 @@
+const { loadAxios, sleep } = require('./helpers')
+
+describe('登录态管理', () => {
+  function createAxios() {
+    const state = { logins: 0, validToken: 'token-0' }
+    const loaded = loadAxios((apiName, options) => {
+      if (options.url.endsWith('/login')) {
+        state.logins++
+        state.validToken = 'token-' + state.logins
+        return { statusCode: 200, data: JSON.stringify({ token: state.validToken }) }
+      }
+      const token = (options.header.Authorization || '').replace('Bearer ', '')
+      const ok = token === state.validToken
+      // /slow 的响应在重新登录完成后才返回
+      return sleep(options.url.endsWith('/slow') ? 30 : 0).then(() => ({
+        statusCode: ok ? 200 : 401,
+        data: JSON.stringify({ token })
+      }))
+    })
+    const instance = loaded.axios.create({ baseURL: 'https://api.test' })
+    instance.useSession({ loginUrl: '/login', isSessionError: response => response.status === 401 })
+    loaded.platform.storage.setItem('Weapp-Axios:session', { token: 'expired' })
+    return Object.assign(loaded, { instance, state })
+  }
+
+  test('登录态失效时重新登录并重新发送请求', async () => {
+    const { instance, state } = createAxios()
+    const response = await instance.get('/data')
+    expect(state.logins).toBe(1)
+    expect(response.data.token).toBe('token-1')
+  })
+
+  test('重新登录完成后才返回的失效响应不会再次登录', async () => {
+    const { instance, state, platform } = createAxios()
+    const [fast, slow] = await Promise.all([instance.get('/fast'), instance.get('/slow')])
+
+    expect(state.logins).toBe(1)
+    expect(fast.data.token).toBe('token-1')
+    expect(slow.data.token).toBe('token-1')
+    expect(platform.storage.getItem('Weapp-Axios:session')).toEqual({ token: 'token-1' })
+  })
+
+  test('同时失效的请求共用一次登录', async () => {
+    const { instance, state } = createAxios()
+    await Promise.all([instance.get('/a'), instance.get('/b'), instance.get('/c')])
+    expect(state.logins).toBe(1)
+  })
+})
@@ -0,0 +1,88 @@
+const { loadAxios, sleep } = require('./helpers')
+
+describe('流式响应', () => {
+  // 按 chunks 依次分块返回，数据块之间间隔 5ms
+  function createAxios(chunks, response) {
+    return loadAxios((apiName, options, task) => {
+      task.emit('onHeadersReceived', { statusCode: 200, header: { 'Content-Type': 'text/plain' } })
+      return chunks.reduce((promise, chunk) => promise.then(() => sleep(5)).then(() => {
+        task.emit('onChunkReceived', { data: Uint8Array.from(Buffer.from(chunk)).buffer })
+      }), Promise.resolve()).then(() => Object.assign({ statusCode: 200, data: new ArrayBuffer(0), header: {} }, response))
+    })
+  }
+
+  async function collect(iterator) {
+    const values = []
+    for await (const value of iterator) {
+      values.push(value)
+    }
+    return values
+  }
+
+  test('迭代解码后的文本，拼接被拆分的多字节字符', async () => {
+    const bytes = Buffer.from('你好')
+    const { axios, platform } = loadAxios((apiName, options, task) => {
+      task.emit('onHeadersReceived', { statusCode: 200, header: {} })
+      task.emit('onChunkReceived', { data: Uint8Array.from(bytes.slice(0, 2)).buffer })
+      task.emit('onChunkReceived', { data: Uint8Array.from(bytes.slice(2)).buffer })
+      return { statusCode: 200, data: new ArrayBuffer(0), header: {} }
+    })
+    const stream = axios.stream({ url: 'https://api.test/chat', method: 'POST' })
+
+    expect((await collect(stream)).join('')).toBe('你好')
+    expect(platform.calls[0].options.enableChunked).toBe(true)
+    expect(stream.status).toBe(200)
+    expect((await stream.response).data).toBe(stream)
+  })
+
+  test('按行读取以及解析 NDJSON', async () => {
+    const chunks = ['{"a":1}\r\n{"a"', ':2}\n\n{"a":3}']
+    const lines = await collect(createAxios(chunks).axios.stream({ url: 'https://api.test/a' }).lines())
+    expect(lines).toEqual(['{"a":1}', '{"a":2}', '', '{"a":3}'])
+
+    const messages = await collect(createAxios(chunks).axios.stream({ url: 'https://api.test/a' }).ndjson())
+    expect(messages).toEqual([{ a: 1 }, { a: 2 }, { a: 3 }])
+  })
+
+  test('请求失败时迭代抛出错误', async () => {
+    const { axios } = createAxios(['oops'], { statusCode: 500 })
+    const stream = axios.stream({ url: 'https://api.test/a' })
+    await expect(collect(stream)).rejects.toMatchObject({ response: { status: 500 } })
+  })
+
+  test('提前退出迭代时中断请求', async () => {
+    const { axios, platform } = createAxios(['a', 'b', 'c'])
+    const stream = axios.stream({ url: 'https://api.test/a' })
+    const abort = jest.spyOn(stream, 'abort')
+    for await (const text of stream) {
+      expect(text).toBe('a')
+      break
+    }
+    expect(abort).toHaveBeenCalled()
+    await expect(stream.response).rejects.toThrow('abort')
+    expect(platform.calls).toHaveLength(1)
+  })
+
+  test('平台不支持分块接收时在请求结束后一次性写入', async () => {
+    const { axios, platform } = loadAxios(() => ({ statusCode: 200, data: Uint8Array.from(Buffer.from('a\nb')).buffer, header: { 'X-A': '1' } }))
+    const request = platform.request
+    platform.request = options => {
+      const task = request(options)
+      delete task.onHeadersReceived
+      delete task.onChunkReceived
+      return task
+    }
+    const stream = axios.stream({ url: 'https://api.test/a' })
+
+    expect(await collect(stream.lines())).toEqual(['a', 'b'])
+    expect(stream.status).toBe(200)
+    expect(stream.headers.get('x-a')).toBe('1')
+  })
+
+  test('request 不支持 responseType: stream', async () => {
+    const { axios, platform } = createAxios(['a'])
+    await expect(axios.request({ url: 'https://api.test/a', responseType: 'stream' }))
+      .rejects.toThrow('[Weapp-Axios] 流式响应请使用 axios.stream 发起请求！')
+    expect(platform.calls).toHaveLength(0)
+  })
+})
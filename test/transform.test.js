@@ -0,0 +1,71 @@
+const { loadAxios } = require('./helpers')
+
+describe('数据转换', () => {
+  test('默认序列化 JSON 请求体并解析 JSON 响应', async () => {
+    const { axios, platform } = loadAxios(() => ({ statusCode: 200, data: '{"id":1}' }))
+    const response = await axios.request({ method: 'POST', url: 'https://api.test/a', data: { name: 'a' } })
+    expect(platform.calls[0].options.data).toBe('{"name":"a"}')
+    expect(response.data).toEqual({ id: 1 })
+  })
+
+  test('GET 请求不序列化 data', async () => {
+    const { axios, platform } = loadAxios(() => ({ statusCode: 200, data: '{}' }))
+    await axios.request({ method: 'GET', url: 'https://api.test/a', data: { a: 1 } })
+    expect(platform.calls[0].options.data).toEqual({ a: 1 })
+  })
+
+  test('自定义转换函数依次执行，可以修改请求头', async () => {
+    const { axios, platform } = loadAxios(() => ({ statusCode: 200, data: '{"code":0,"payload":{"ok":true}}' }))
+    const instance = axios.create({
+      transformRequest: [
+        data => Object.assign({}, data, { extra: 1 }),
+        ...axios.defaults.transformRequest,
+        (data, header) => {
+          header['x-encrypted'] = '1'
+          return 'enc:' + data
+        }
+      ],
+      transformResponse: [
+        ...axios.defaults.transformResponse,
+        data => data.payload
+      ]
+    })
+    const response = await instance.request({ method: 'POST', url: 'https://api.test/a', data: { a: 1 } })
+    expect(platform.calls[0].options.data).toBe('enc:{"a":1,"extra":1}')
+    expect(platform.calls[0].options.header['x-encrypted']).toBe('1')
+    expect(response.data).toEqual({ ok: true })
+  })
+
+  test('重试时基于转换前的数据重新转换', async () => {
+    let count = 0
+    const { axios, platform } = loadAxios(() => ({ statusCode: ++count === 1 ? 503 : 200, data: '{}' }))
+    await axios.request({
+      method: 'POST',
+      url: 'https://api.test/a',
+      data: { a: 1 },
+      retry: { retries: 1, baseDelay: 1, jitter: false, methods: ['POST'] },
+      transformRequest: [...axios.defaults.transformRequest, data => data + '!']
+    })
+    expect(platform.calls.map(call => call.options.data)).toEqual(['{"a":1}!', '{"a":1}!'])
+  })
+
+  test('JSON 解析失败为 ERR_PARSE，转换函数抛错为 ERR_BAD_RESPONSE', async () => {
+    const { axios } = loadAxios(() => ({ statusCode: 200, data: '{bad' }))
+    const parseError = await axios.get('https://api.test/a').catch(e => e)
+    expect(parseError.code).toBe(axios.AxiosError.ERR_PARSE)
+
+    const badResponse = await axios.get('https://api.test/b', {
+      transformResponse: [() => { throw new Error('gateway') }]
+    }).catch(e => e)
+    expect(badResponse.code).toBe(axios.AxiosError.ERR_BAD_RESPONSE)
+  })
+
+  test('上传文件默认只执行内置转换，transformFiles 开启后执行全部转换', async () => {
+    const { axios } = loadAxios(() => ({ statusCode: 200, data: '{"ok":1}' }))
+    const transformResponse = [...axios.defaults.transformResponse, data => ({ wrapped: data })]
+    const builtin = await axios.uploadFile({ url: 'https://api.test/u', filePath: 'a.png', name: 'file', transformResponse })
+    expect(builtin.data).toEqual({ ok: 1 })
+    const all = await axios.uploadFile({ url: 'https://api.test/u', filePath: 'a.png', name: 'file', transformResponse, transformFiles: true })
+    expect(all.data).toEqual({ wrapped: { ok: 1 } })
+  })
+})
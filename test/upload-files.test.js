@@ -0,0 +1,50 @@
+const { loadAxios } = require('./helpers')
+
+describe('批量上传', () => {
+  function createAxios() {
+    return loadAxios((apiName, options, task) => {
+      if (options.filePath.includes('fail')) {
+        return { statusCode: 500, data: '{}' }
+      }
+      task.emit('onProgressUpdate', { progress: 50, totalBytesSent: 5, totalBytesExpectedToSend: 10 })
+      return { statusCode: 200, data: JSON.stringify({ filePath: options.filePath, formData: options.formData }) }
+    })
+  }
+
+  test('合并公共以及每个文件的表单数据，统计整体进度', async () => {
+    const { axios, platform } = createAxios()
+    const progresses = []
+    const { results, succeeded, failed } = await axios.uploadFiles([
+      { filePath: 'a.png', formData: { type: 'a' } },
+      'b.png'
+    ], {
+      url: 'https://api.test/upload',
+      formData: { orderId: 1 },
+      concurrency: 1,
+      onProgressUpdate: event => progresses.push(event.progress)
+    })
+
+    expect(succeeded).toHaveLength(2)
+    expect(failed).toHaveLength(0)
+    expect(results[0].response.data.formData).toEqual({ orderId: 1, type: 'a' })
+    expect(results[1].response.data.formData).toEqual({ orderId: 1 })
+    expect(platform.calls.every(call => call.options.name === 'file')).toBe(true)
+    expect(progresses).toEqual([25, 50, 75, 100])
+  })
+
+  test('失败的文件按 retries 重新上传，不影响其他文件', async () => {
+    const { axios, platform } = createAxios()
+    const { succeeded, failed } = await axios.uploadFiles(['a.png', 'fail.png'], { url: 'https://api.test/upload', retries: 1 })
+    expect(succeeded.map(result => result.filePath)).toEqual(['a.png'])
+    expect(failed[0].attempts).toBe(2)
+    expect(platform.calls).toHaveLength(3)
+  })
+
+  test('缺少 filePath 的文件记录为失败，其他文件照常上传', async () => {
+    const { axios } = createAxios()
+    const { succeeded, failed } = await axios.uploadFiles([{ formData: { a: 1 } }, 'b.png'], { url: 'https://api.test/upload' })
+    expect(succeeded.map(result => result.filePath)).toEqual(['b.png'])
+    expect(failed).toHaveLength(1)
+    expect(failed[0].error.message).toBe('[Weapp-Axios] wx.uploadFile 需要传入 name filePath 属性！')
+  })
+})
@@ -0,0 +1,105 @@
+const crypto = require('crypto')
+const { loadAxios, sleep, waitFor } = require('./helpers')
+
+const OBJECT_URL = 'https://bucket.test/videos/a.mp4'
+
+/**
+ * S3 风格的分片上传服务
+ *
+ * @param {Object} server { parts, inits, failPart, partDelay }
+ */
+function createS3Handler(server) {
+  return (apiName, options) => {
+    const url = options.url
+    if (url.endsWith('?uploads')) {
+      server.inits++
+      return { statusCode: 200, data: '<InitiateMultipartUploadResult><UploadId>upload-' + server.inits + '</UploadId></InitiateMultipartUploadResult>' }
+    }
+    const partNumber = /partNumber=(\d+)/.exec(url)
+    if (partNumber) {
+      if (server.failPart === Number(partNumber[1])) {
+        server.failPart = 0
+        return { statusCode: 500, data: '' }
+      }
+      return sleep(server.partDelay || 0).then(() => {
+        server.parts.push({ partNumber: Number(partNumber[1]), size: options.data.byteLength, uploadId: /uploadId=([^&]+)/.exec(url)[1] })
+        return { statusCode: 200, data: '', header: { ETag: '"etag-' + partNumber[1] + '"' } }
+      })
+    }
+    server.completed = options.data
+    return { statusCode: 200, data: '<CompleteMultipartUploadResult/>' }
+  }
+}
+
+function createAxios(server) {
+  const loaded = loadAxios(createS3Handler(server))
+  loaded.platform.files['/tmp/video.mp4'] = new Uint8Array(crypto.randomBytes(2500))
+  return loaded
+}
+
+describe('分片上传', () => {
+  test('分片上传并按顺序完成', async () => {
+    const server = { parts: [], inits: 0 }
+    const { axios } = createAxios(server)
+    const progresses = []
+    const result = await axios.uploadLarge('/tmp/video.mp4', {
+      url: OBJECT_URL,
+      chunkSize: 1000,
+      onProgressUpdate: event => progresses.push(event.uploadedChunks)
+    })
+
+    expect(result.totalChunks).toBe(3)
+    expect(server.parts.map(part => part.size).sort()).toEqual([1000, 1000, 500])
+    expect(server.completed).toBe('<CompleteMultipartUpload>' + [1, 2, 3].map(n => '<Part><PartNumber>' + n + '</PartNumber><ETag>"etag-' + n + '"</ETag></Part>').join('') + '</CompleteMultipartUpload>')
+    expect(progresses[progresses.length - 1]).toBe(3)
+  })
+
+  test('失败后重新上传时跳过已上传的分片', async () => {
+    const server = { parts: [], inits: 0, failPart: 3 }
+    const { axios } = createAxios(server)
+    const options = { url: OBJECT_URL, chunkSize: 1000, concurrency: 1, retries: 0 }
+
+    await expect(axios.uploadLarge('/tmp/video.mp4', options)).rejects.toBeTruthy()
+    const result = await axios.uploadLarge('/tmp/video.mp4', options)
+
+    expect(result.resumedChunks).toBe(2)
+    expect(server.inits).toBe(1)
+    expect(server.parts.map(part => part.partNumber)).toEqual([1, 2, 3])
+  })
+
+  test('超出保存时间的上传进度不再续传', async () => {
+    const server = { parts: [], inits: 0, failPart: 3 }
+    const { axios, platform } = createAxios(server)
+    const options = { url: OBJECT_URL, chunkSize: 1000, concurrency: 1, retries: 0, maxAge: 1000 }
+
+    await expect(axios.uploadLarge('/tmp/video.mp4', options)).rejects.toBeTruthy()
+    const key = platform.storage.getInfo().keys.find(item => item.indexOf('Weapp-Axios:upload:') === 0)
+    const state = platform.storage.getItem(key)
+    platform.storage.setItem(key, Object.assign(state, { createdAt: Date.now() - 2000 }))
+
+    const result = await axios.uploadLarge('/tmp/video.mp4', options)
+    expect(result.resumedChunks).toBe(0)
+    expect(server.inits).toBe(2)
+    expect(server.parts.filter(part => part.uploadId === 'upload-2')).toHaveLength(3)
+  })
+
+  test('取消时中断进行中的分片请求', async () => {
+    const server = { parts: [], inits: 0, partDelay: 100 }
+    const { axios, platform } = createAxios(server)
+    const source = axios.CancelToken.source()
+    const promise = axios.uploadLarge('/tmp/video.mp4', { url: OBJECT_URL, chunkSize: 1000, cancelToken: source.token })
+
+    const isPartCall = call => /partNumber/.test(call.options.url)
+    await waitFor(() => platform.calls.some(isPartCall))
+    const partCalls = platform.calls.filter(isPartCall)
+    const aborts = partCalls.map(call => jest.spyOn(call.task, 'abort'))
+    source.cancel('stop')
+
+    const err = await promise.catch(e => e)
+    expect(axios.isCancel(err)).toBe(true)
+    aborts.forEach(abort => expect(abort).toHaveBeenCalled())
+
+    await sleep(150)
+    expect(server.completed).toBeUndefined()
+  })
+})
@@ -22,27 +22,24 @@ const objProto = Object.prototype
 const arrProto = Array.prototype
 const noop = function() {}
 
-if (!objProto.hasOwnProperty.call(root, 'wx')) {
-  throw `[${name}] 仅支持在微信小程序环境中运行！`
-}
-
-const wx = Object.create(root.wx)
-
-// 小程序帐号信息
-// https://developers.weixin.qq.com/miniprogram/dev/api/open-api/account-info/wx.getAccountInfoSync.html#%E8%BF%94%E5%9B%9E%E5%80%BC
-const envVersion = wx.getAccountInfoSync().miniProgram.envVersion
-const isDevelop = envVersion === 'develop'
-const isTrial = envVersion === 'trial'
-const isRelease = envVersion === 'release'
-
 // 匹配头部的斜杠
 const reHeadSlash = /^\/+/
 // 匹配尾部的斜杠
 const reFootSlash = /\/+$/
 // 匹配绝对地址
 const reAbsoluteURL = /^([a-z][a-z\d\+\-\*]*:)?\/\//i
+// 匹配绝对地址中的协议、域名以及端口
+const reURLOrigin = /^([a-z][a-z\d\+\-\*]*:)?\/\/[^/?#]*/i
 // 匹配非数字
 const reNotNumber = /[\D]/g
+// 匹配地址中的 hash
+const reHash = /#.*$/
+// 匹配路径模板中的参数 :name、{name}，:name 只匹配路径片段的开头，/users:search、/a:b.png 不是路径参数
+const rePathParam = /(^|\/):([A-Za-z_]\w*)|\{([A-Za-z_]\w*)\}/g
+// 匹配 wx 接口主动中断的错误信息
+const reAbortErrMsg = /:fail abort/
+// 匹配 wx 接口超时的错误信息
+const reTimeoutErrMsg = /time ?out/i
 
 // 错误信息
 const nonConfigError = `[${name}] 未传入配置对象！`
@@ -54,11 +51,268 @@ const DEFAULT_HEADER = {
   'content-type': 'application/json'
 }
 
+// 请求参数序列化默认配置
+const DEFAULT_PARAMS_SERIALIZER = {
+  // 数组格式 brackets: a[]=1&a[]=2，indices: a[0]=1&a[1]=2，repeat: a=1&a=2，comma: a=1,2
+  arrayFormat: 'brackets',
+  // 编码函数
+  encode: encodeURIComponent
+}
+
+// 幂等的 HTTP 请求方法，默认只对这些请求进行重试
+const IDEMPOTENT_METHODS = ['OPTIONS', 'GET', 'HEAD', 'PUT', 'DELETE']
+// 请求重试默认配置
+const DEFAULT_RETRY = {
+  // 重试次数，默认不重试
+  retries: 0,
+  // 指数退避的基础等待时间
+  baseDelay: 300,
+  // 最大等待时间
+  maxDelay: 30000,
+  // 是否添加随机抖动
+  jitter: true,
+  // 需要重试的响应状态码
+  statusCodes: [408, 429, 500, 502, 503, 504],
+  // 需要重试的 wx 错误信息
+  errMsgPatterns: [/fail timeout/, /time ?out/i, /net::ERR_/, /:fail -\d+/],
+  // 允许重试的请求方法，传入非幂等的方法即可对其重试
+  methods: IDEMPOTENT_METHODS,
+  // 自定义重试判断 shouldRetry(error, attempt)
+  shouldRetry: null
+}
+// 错误信息序列化时保留的请求参数，不包含请求头、token 等鉴权信息
+const ERROR_CONFIG_KEYS = ['method', 'baseURL', 'url', 'params', 'dataType', 'responseType', 'timeout']
+
+// HTTP 状态码描述
+const STATUS_TEXT = {
+  100: 'Continue',
+  101: 'Switching Protocols',
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No Content',
+  206: 'Partial Content',
+  301: 'Moved Permanently',
+  302: 'Found',
+  304: 'Not Modified',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  408: 'Request Timeout',
+  409: 'Conflict',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  501: 'Not Implemented',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+}
+
+// 各接口默认的最大并发数
+// wx.request\wx.uploadFile\wx.downloadFile 最大并发数为 10，wx.connectSocket 最多同时存在 5 个连接
+const DEFAULT_CONCURRENCY = {
+  'wx.request': 10,
+  'wx.uploadFile': 10,
+  'wx.downloadFile': 10,
+  'wx.connectSocket': 5
+}
+// 请求优先级，从高到低
+const PRIORITIES = ['high', 'normal', 'low']
+const DEFAULT_PRIORITY = 'normal'
+
+// 响应缓存默认配置
+const DEFAULT_CACHE = {
+  // 缓存位置：memory 内存，storage 本地存储
+  storage: 'memory',
+  // 缓存有效期
+  ttl: 60 * 1000,
+  // 缓存过期后仍可返回旧数据的时间，期间会在后台重新请求
+  staleWhileRevalidate: 0,
+  // 自定义缓存标识 cacheKey(config)
+  cacheKey: null,
+  // 缓存分区 partition(config)，通常返回用户 id，默认按 header 的摘要区分
+  partition: null,
+  // 最大缓存数量
+  maxEntries: 100,
+  // 最大缓存体积（字节）
+  maxBytes: 1024 * 1024
+}
+
+// 离线队列默认配置
+const DEFAULT_OFFLINE_QUEUE = {
+  // 请求在队列中的最长保存时间
+  maxAge: 24 * 60 * 60 * 1000,
+  instance: null,
+  onConflict: null,
+  onReplay: null,
+  onExpire: null
+}
+// 离线队列中保存的请求参数
+// token 不保存，重新发送时通过实例的请求流程（默认配置、useAuth 等）获取新的 token
+const OFFLINE_CONFIG_KEYS = ['method', 'baseURL', 'url', 'params', 'data', 'header', 'dataType', 'responseType', 'timeout']
+
+// 身份认证默认配置
+const DEFAULT_AUTH = {
+  getToken: null,
+  refreshToken: null,
+  isAuthError: function isAuthError(response) {
+    return response.status === 401
+  },
+  maxRefreshAttempts: 3,
+  refreshWindow: 60 * 1000
+}
+
+// 登录态管理默认配置
+const DEFAULT_SESSION = {
+  loginUrl: '',
+  method: 'POST',
+  getLoginData: function getLoginData(code) {
+    return { code }
+  },
+  parseSession: function parseSession(response) {
+    return response.data
+  },
+  attach: function attach(config, session) {
+    if (session && session.token) {
+      config.token = session.token
+    }
+  },
+  isSessionError: null,
+  storageKey: name + ':session',
+  checkInterval: 5 * 60 * 1000
+}
+
+// 批量上传默认配置
+const DEFAULT_UPLOAD_FILES = {
+  // 同时上传的文件数
+  concurrency: 3,
+  // 上传失败的文件重新上传的次数
+  retries: 0,
+  // 文件对应的 key
+  name: 'file'
+}
+
+// 分片上传默认配置
+const DEFAULT_UPLOAD_LARGE = {
+  // 分片大小，S3 要求除最后一个分片外不小于 5MB
+  chunkSize: 5 * 1024 * 1024,
+  // 同时上传的分片数
+  concurrency: 3,
+  // 单个分片失败后的重试次数
+  retries: 3,
+  // 分片重试的基础等待时间
+  retryDelay: 1000,
+  // 上传进度保存在本地存储中的键名前缀
+  storageKey: name + ':upload',
+  // 上传进度的最长保存时间，未完成的分片上传通常会被对象存储的生命周期规则清理
+  maxAge: 24 * 60 * 60 * 1000
+}
+
+// 秒传默认配置
+const DEFAULT_DEDUPE_BY_HASH = {
+  // 查询文件是否已存在的接口地址
+  checkUrl: '',
+  method: 'POST',
+  // 摘要算法 md5\sha1
+  algorithm: 'md5',
+  // 上传时将摘要添加到 formData 中的字段名，为空时不添加
+  hashField: '',
+  // 查询请求的配置
+  getCheckConfig: function getCheckConfig(hash, algorithm) {
+    return { data: { hash, algorithm } }
+  },
+  // 根据查询结果判断服务端是否已有该文件
+  isUploaded: function isUploaded(response) {
+    const data = response.data || {}
+    return data.exists === true || data.uploaded === true
+  }
+}
+
+// 根据文件扩展名推断 content-type
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac',
+  m4a: 'audio/mp4',
+  wav: 'audio/wav',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  zip: 'application/zip',
+  txt: 'text/plain',
+  json: 'application/json'
+}
+
+// 下载管理默认配置
+const DEFAULT_DOWNLOADS = {
+  // 同时下载的任务数
+  concurrency: 2,
+  // 每段请求的字节数
+  segmentSize: 1024 * 1024,
+  // 文件保存在 USER_DATA_PATH 下的目录
+  directory: name + '-downloads'
+}
+
+// 文件缓存默认配置
+const DEFAULT_FILE_CACHE = {
+  // 缓存文件的最大总体积，小程序本地文件最大 200MB
+  maxBytes: 50 * 1024 * 1024,
+  // 缓存有效期，过期后通过 If-None-Match 重新验证
+  ttl: 7 * 24 * 60 * 60 * 1000,
+  // 文件保存在 USER_DATA_PATH 下的目录
+  directory: name + '-files'
+}
+
 // 日志最大保存天数
 const MAX_LOG_DAY = 7
 // 日志最大保存数量
 const MAX_LOG_COUNTS = 300
 
+// 自动识别运行平台时依次检查的全局对象
+// 部分平台同时注入了 wx 等全局对象，因此特有的全局对象优先
+const PLATFORM_GLOBALS = ['my', 'tt', 'swan', 'qq', 'wx', 'uni']
+
+/**
+ * 将各平台的环境版本统一为 develop\trial\release
+ */
+const ENV_VERSIONS = {
+  develop: 'develop',
+  development: 'develop',
+  trial: 'trial',
+  preview: 'trial',
+  gray: 'trial',
+  release: 'release',
+  production: 'release'
+}
+
+/**
+ * 支付宝小程序的错误码
+ * https://opendocs.alipay.com/mini/api/owycmh
+ */
+const MY_ERROR_MESSAGES = {
+  12: 'fail network error',
+  13: 'fail timeout',
+  14: 'fail decode error',
+  20: 'fail abort'
+}
+
 // 公共工具函数
 const utils = {
   /**
@@ -216,6 +470,29 @@ const utils = {
     return object
   },
 
+  /**
+   * 深拷贝普通对象、数组以及 ArrayBuffer，其他类型直接返回
+   *
+   * @param {*} value
+   * @returns {*} 拷贝后的值
+   */
+  cloneDeep: function cloneDeep(value) {
+    if (Array.isArray(value)) {
+      return value.map(cloneDeep)
+    }
+    if (utils.isPlainObject(value)) {
+      const result = {}
+      utils.forOwn(value, function cloneValue(v, k) {
+        result[k] = cloneDeep(v)
+      })
+      return result
+    }
+    if (value instanceof ArrayBuffer) {
+      return value.slice(0)
+    }
+    return value
+  },
+
   // base64编码
   base64Encode: function base64Encode (str) { // 编码，配合encodeURIComponent使用
     let c1, c2, c3
@@ -294,34 +571,202 @@ const helpers = {
    *
    * @param {String} url 请求地址
    * @param {Object|String} params 请求参数
+   * @param {Function|Object} paramsSerializer 请求参数序列化函数或配置
    * @returns {String} 带参数的URL地址
    *
    * 支持以下两种形式的参数结构
    * /a/b/c + /x/y/z => /a/b/c/x/y/z
    * /a/b/c + {x:1, y: 2, z: 3} => /a/b/c?x=1&y=2&z=3
    */
-  buildPathParam: function buildPathParam(url, params) {
+  buildPathParam: function buildPathParam(url, params, paramsSerializer) {
     if (!url) return ''
 
     url = url + ''
 
     if (utils.isPlainObject(params)) {
-      const keys = Object.keys(params)
-      // 判断url中是否已经有?形式的参数了
-      // ~indexOf -1 => 0 1 => -2
-      const isExist = !!~url.indexOf('=')
-      let suffix = ''
-      keys.forEach((key, index) => {
-        if (!utils.isFunction(params[key])) {
-          suffix += ((!isExist && index === 0 ? '' : '&') + (key + '=' + params[key]))
-        }
-      })
-      return helpers.combineURLs(url, '?' + suffix)
+      return helpers.buildURL(url, params, paramsSerializer)
     } else {
       return helpers.combineURLs(url, params + '')
     }
   },
 
+  /**
+   * 判断地址的路径部分是否包含模板参数
+   *
+   * @param {String} url
+   * @returns {Boolean} true or false
+   */
+  hasPathParams: function hasPathParams(url) {
+    const path = ((url || '') + '').replace(reURLOrigin, '').split(/[?#]/)[0]
+    rePathParam.lastIndex = 0
+    return rePathParam.test(path)
+  },
+
+  /**
+   * 填充路径模板中的参数
+   * 优先使用 pathParams，其次使用 params，params 中已填充的参数不再追加到查询参数中
+   *
+   * @param {String} url 路径模板
+   * @param {Object} pathParams 路径参数
+   * @param {Object} params 请求参数
+   * @returns {Object} { url, params } 填充后的地址以及剩余的请求参数
+   *
+   * @example
+   *
+   * fillPathParams('/shops/:shopId/items/{itemId}', { shopId: 1 }, { itemId: 'a/b', page: 2 })
+   * // { url: '/shops/1/items/a%2Fb', params: { page: 2 } }
+   */
+  fillPathParams: function fillPathParams(url, pathParams, params) {
+    url = (url || '') + ''
+    pathParams = pathParams || {}
+
+    const restParams = utils.isPlainObject(params) ? Object.assign({}, params) : params
+    // 只处理路径部分，跳过协议、域名以及端口
+    const originMatch = url.match(reURLOrigin)
+    const origin = originMatch ? originMatch[0] : ''
+    const queryIndex = url.search(/[?#]/)
+    const path = url.slice(origin.length, queryIndex === -1 ? url.length : queryIndex)
+    const suffix = queryIndex === -1 ? '' : url.slice(queryIndex)
+
+    const filledPath = path.replace(rePathParam, function replacePathParam(match, prefix, key1, key2) {
+      const key = key1 || key2
+      let value
+      if (pathParams[key] !== undefined && pathParams[key] !== null) {
+        value = pathParams[key]
+      } else if (utils.isPlainObject(restParams) && restParams[key] !== undefined && restParams[key] !== null) {
+        value = restParams[key]
+        delete restParams[key]
+      } else {
+        throw Error(`[${name}] 请求地址 ${url} 缺少路径参数 ${key}！`)
+      }
+      return (prefix || '') + encodeURIComponent(value + '')
+    })
+
+    return {
+      url: origin + filledPath + suffix,
+      params: restParams
+    }
+  },
+
+  /**
+   * 序列化请求参数
+   * 跳过 undefined、null 以及函数，日期转换为 ISO 格式，嵌套对象使用 a[b]=1 的格式
+   *
+   * @param {Object} params 请求参数
+   * @param {Object} options
+   * @param {String} options.arrayFormat 数组格式 brackets\indices\repeat\comma
+   * @param {Function} options.encode 编码函数
+   * @returns {String} 序列化后的参数 a=1&b%5B%5D=2
+   *
+   * @example
+   *
+   * serializeParams({ q: '咖啡&茶', tags: [1, 2], range: { min: 1 } })
+   * // q=%E5%92%96%E5%95%A1%26%E8%8C%B6&tags[]=1&tags[]=2&range[min]=1
+   */
+  serializeParams: function serializeParams(params, options) {
+    options = utils.merge(DEFAULT_PARAMS_SERIALIZER, options || {})
+
+    const encode = options.encode
+    const parts = []
+
+    function serializeValue(value) {
+      if (utils.getTag(value) === '[object Date]') {
+        return value.toISOString()
+      }
+      return value + ''
+    }
+
+    function isSkipped(value) {
+      return value === undefined || value === null || utils.isFunction(value)
+    }
+
+    function append(key, value) {
+      parts.push(key + '=' + encode(serializeValue(value)))
+    }
+
+    function serialize(key, value) {
+      if (isSkipped(value)) {
+        return undefined
+      }
+
+      if (Array.isArray(value)) {
+        const items = value.filter(item => !isSkipped(item))
+        if (options.arrayFormat === 'comma' && !items.some(item => utils.isPlainObject(item) || Array.isArray(item))) {
+          if (items.length) {
+            parts.push(key + '=' + items.map(item => encode(serializeValue(item))).join(','))
+          }
+          return undefined
+        }
+        utils.each(items, function serializeItem(item, index) {
+          // 数组中的对象需要通过下标区分
+          const isNested = utils.isPlainObject(item) || Array.isArray(item)
+          let itemKey = key + '[]'
+          if (isNested || options.arrayFormat === 'indices') {
+            itemKey = key + '[' + index + ']'
+          } else if (options.arrayFormat === 'repeat' || options.arrayFormat === 'comma') {
+            itemKey = key
+          }
+          serialize(itemKey, item)
+        })
+        return undefined
+      }
+
+      if (utils.isPlainObject(value)) {
+        utils.each(Object.keys(value), function serializeProp(prop) {
+          serialize(key + '[' + encode(prop) + ']', value[prop])
+        })
+        return undefined
+      }
+
+      append(key, value)
+    }
+
+    utils.each(Object.keys(params || {}), function serializeParam(key) {
+      serialize(encode(key), params[key])
+    })
+
+    return parts.join('&')
+  },
+
+  /**
+   * 在地址中追加请求参数，保留已有的参数以及 hash
+   *
+   * @param {String} url 请求地址
+   * @param {Object} params 请求参数
+   * @param {Function|Object} paramsSerializer 请求参数序列化函数或配置
+   * @returns {String} 带参数的URL地址 /a?x=1#top + { y: 2 } => /a?x=1&y=2#top
+   */
+  buildURL: function buildURL(url, params, paramsSerializer) {
+    url = (url || '') + ''
+
+    let query
+    if (utils.isFunction(paramsSerializer)) {
+      query = paramsSerializer(params)
+    } else if (paramsSerializer && utils.isFunction(paramsSerializer.serialize)) {
+      query = paramsSerializer.serialize(params, paramsSerializer)
+    } else {
+      query = helpers.serializeParams(params, paramsSerializer)
+    }
+
+    if (!query) {
+      return url
+    }
+
+    const hashMatch = url.match(reHash)
+    const hash = hashMatch ? hashMatch[0] : ''
+    url = url.replace(reHash, '')
+
+    const queryIndex = url.indexOf('?')
+    let separator = '&'
+    if (queryIndex === -1) {
+      separator = '?'
+    } else if (queryIndex === url.length - 1 || url.charAt(url.length - 1) === '&') {
+      separator = ''
+    }
+
+    return url + separator + query + hash
+  },
+
   /**
    * 构建完整的URL地址
    *
@@ -330,7 +775,8 @@ const helpers = {
    * @returns {String} 完整的URL地址 https://www.xxx.com/ + /a/b/c => https://www.xxx.com/a/b/c
    */
   buildFullPath: function buildFullPath(baseURL, url) {
-    if (!baseURL) return ''
+    // 没有基地址时直接使用请求地址，如预签名的绝对地址
+    if (!baseURL) return url ? url + '' : ''
 
     if (!url) return baseURL
 
@@ -341,548 +787,6130 @@ const helpers = {
             ? url
             : helpers.combineURLs(baseURL, url)
   },
-}
 
-/** 拦截器 */
+  /**
+   * 序列化对象，键名排序后再序列化，保证相同内容得到相同的结果
+   *
+   * @param {*} value
+   * @returns {String}
+   */
+  stableStringify: function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(stableStringify).join(',') + ']'
+    }
+    if (utils.isPlainObject(value)) {
+      return '{' + Object.keys(value).sort().map(function stringifyKey(key) {
+        return JSON.stringify(key) + ':' + stableStringify(value[key])
+      }).join(',') + '}'
+    }
+    return value === undefined ? '' : JSON.stringify(value)
+  },
 
-/**
- * 拦截器管理类
- */
-function InterceptorManager() {
-  this.handlers = []
+  /**
+   * 计算字符串的 64 位摘要，用于生成不包含原文的标识，不能用于加密
+   *
+   * @param {String} str
+   * @returns {String} 十六进制摘要
+   */
+  hashString: function hashString(str) {
+    let h1 = 0xdeadbeef
+    let h2 = 0x41c6ce57
+    for (let i = 0; i < str.length; i++) {
+      const code = str.charCodeAt(i)
+      h1 = Math.imul(h1 ^ code, 2654435761)
+      h2 = Math.imul(h2 ^ code, 1597334677)
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+    return ('0000000' + (h2 >>> 0).toString(16)).slice(-8) + ('0000000' + (h1 >>> 0).toString(16)).slice(-8)
+  },
+
+  /**
+   * 解析 Retry-After，支持秒数以及 HTTP 日期两种格式
+   *
+   * @param {String|Number} value Retry-After 的值
+   * @returns {Number|undefined} 等待的毫秒数
+   */
+  parseRetryAfter: function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return undefined
+
+    const seconds = Number(value)
+    if (!isNaN(seconds)) {
+      return Math.max(seconds, 0) * 1000
+    }
+
+    const date = Date.parse(value)
+    if (!isNaN(date)) {
+      return Math.max(date - Date.now(), 0)
+    }
+    return undefined
+  },
+
+  /**
+   * 字节转换为十六进制字符串
+   *
+   * @param {Uint8Array} bytes
+   * @returns {String}
+   */
+  toHex: function toHex(bytes) {
+    let result = ''
+    for (let i = 0; i < bytes.length; i++) {
+      result += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16)
+    }
+    return result
+  },
+
+  /**
+   * 十六进制字符串转换为字节
+   *
+   * @param {String} hex
+   * @returns {Uint8Array}
+   */
+  fromHex: function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2)
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16)
+    }
+    return bytes
+  },
+
+  /**
+   * 字节转换为 Base64 字符串
+   *
+   * @param {Uint8Array} bytes
+   * @returns {String}
+   */
+  encodeBase64: function encodeBase64(bytes) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+    let result = ''
+    for (let i = 0; i < bytes.length; i += 3) {
+      const a = bytes[i]
+      const b = i + 1 < bytes.length ? bytes[i + 1] : 0
+      const c = i + 2 < bytes.length ? bytes[i + 2] : 0
+      result += chars[a >> 2] + chars[((a & 3) << 4) | (b >> 4)]
+      result += i + 1 < bytes.length ? chars[((b & 15) << 2) | (c >> 6)] : '='
+      result += i + 2 < bytes.length ? chars[c & 63] : '='
+    }
+    return result
+  },
+
+  /**
+   * 字符串转换为 UTF-8 编码的字节
+   *
+   * @param {String} value
+   * @returns {Uint8Array}
+   */
+  encodeUTF8: function encodeUTF8(value) {
+    value = (value === undefined || value === null ? '' : value) + ''
+    const bytes = []
+    for (let i = 0; i < value.length; i++) {
+      let code = value.charCodeAt(i)
+      // 代理对
+      if (code >= 0xd800 && code <= 0xdbff && i + 1 < value.length) {
+        const low = value.charCodeAt(i + 1)
+        if (low >= 0xdc00 && low <= 0xdfff) {
+          code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00)
+          i++
+        }
+      }
+      if (code < 0x80) {
+        bytes.push(code)
+      } else if (code < 0x800) {
+        bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f))
+      } else if (code < 0x10000) {
+        bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+      } else {
+        bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+      }
+    }
+    return new Uint8Array(bytes)
+  },
+
+  /**
+   * UTF-8 编码的字节转换为字符串，无效的字节转换为 \ufffd
+   *
+   * @param {Uint8Array} bytes
+   * @returns {String}
+   */
+  decodeUTF8: function decodeUTF8(bytes) {
+    bytes = helpers.toUint8Array(bytes)
+    let result = ''
+    let codes = []
+    let i = 0
+    while (i < bytes.length) {
+      const byte = bytes[i]
+      const size = byte < 0x80 ? 1 : byte >= 0xf0 && byte < 0xf8 ? 4 : byte >= 0xe0 && byte < 0xf0 ? 3 : byte >= 0xc0 && byte < 0xe0 ? 2 : 0
+      let code = size === 1 ? byte : byte & (0xff >> (size + 1))
+      let valid = size > 0 && i + size <= bytes.length
+      for (let j = 1; valid && j < size; j++) {
+        valid = (bytes[i + j] & 0xc0) === 0x80
+        code = (code << 6) | (bytes[i + j] & 0x3f)
+      }
+      if (!valid) {
+        codes.push(0xfffd)
+        i++
+        continue
+      }
+      // 代理对
+      if (code >= 0x10000) {
+        code -= 0x10000
+        codes.push(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff))
+      } else {
+        codes.push(code)
+      }
+      i += size
+      // 分批转换，避免参数过多
+      if (codes.length >= 4096) {
+        result += String.fromCharCode.apply(null, codes)
+        codes = []
+      }
+    }
+    return result + String.fromCharCode.apply(null, codes)
+  },
+
+  /**
+   * 将 ArrayBuffer、TypedArray、字符串统一转换为 Uint8Array
+   *
+   * @param {ArrayBuffer|ArrayBufferView|String} value
+   * @returns {Uint8Array}
+   */
+  toUint8Array: function toUint8Array(value) {
+    if (value instanceof Uint8Array) {
+      return value
+    }
+    if (value instanceof ArrayBuffer) {
+      return new Uint8Array(value)
+    }
+    if (value && ArrayBuffer.isView(value)) {
+      return new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+    }
+    return helpers.encodeUTF8(value)
+  },
 }
 
+/** 运行平台 */
+
+// 当前的运行平台，首次发起请求时才会确定
+let platform = null
+
 /**
- * 将拦截器推入栈中
+ * 获取运行平台
+ * 未通过 setPlatform 设置时根据全局对象自动识别
  *
- * @param {Function} fulfilled 处理 Promise 返回 then 的逻辑
- * @param {Function} rejected 处理 Promise 返回 reject 的逻辑
- * @param {Object} options 额外处理的参数
- * @returns {Number} 当前拦截器ID，可用于后续删除操作
+ * @returns {Object} platform
  */
-InterceptorManager.prototype.use = function use(fulfilled, rejected, options) {
-  this.handlers.push({
-    fulfilled: fulfilled,
-    rejected: rejected
+function getPlatform() {
+  if (platform) {
+    return platform
+  }
+  utils.each(PLATFORM_GLOBALS, function detectPlatform(globalName) {
+    if (root && objProto.hasOwnProperty.call(root, globalName) && root[globalName] && utils.isFunction(root[globalName].request)) {
+      platform = platformDrivers[globalName](root[globalName])
+      return false
+    }
   })
-  return this.handlers.length - 1
+  if (platform) {
+    offlineQueue.restore()
+    return platform
+  }
+  throw Error(`[${name}] 未识别到小程序运行环境，请通过 axios.setPlatform 设置运行平台！`)
 }
 
 /**
- * 删除拦截器
+ * 设置运行平台
  *
- * @param {*} id 拦截器ID
+ * @param {Object} value 运行平台对象
+ *
+ * 运行平台需要提供以下属性，网络接口的参数以及回调与 wx 接口一致
+ * name 平台名称
+ * request\uploadFile\downloadFile\connectSocket 网络接口
+ * storage 同步的本地存储 { getItem, setItem, removeItem, getInfo }
+ * getEnvVersion 返回 develop\trial\release
+ * console 本地打印使用的 console
+ * getUserDataPath 返回用户文件目录
+ * getNetworkType\onNetworkStatusChange\onAppShow\login\checkSession\getFileSystemManager 可选
+ * openDocument\saveImageToPhotosAlbum\saveVideoToPhotosAlbum 可选
  */
-InterceptorManager.prototype.eject = function eject(id) {
-  if (this.handlers[id]) {
-    this.handlers[id] = null
+function setPlatform(value) {
+  if (!value || !utils.isFunction(value.request) || !value.storage) {
+    throw Error(`[${name}] setPlatform 需要传入包含 request storage 的运行平台对象！`)
   }
+  platform = value
+  offlineQueue.restore()
 }
 
 /**
- * 遍历已注册的拦截器
+ * 基于宿主全局对象（wx、my、tt 等）创建运行平台
+ * driver 负责将宿主接口的参数、响应结果、错误信息转换为 wx 接口的结构
  *
- * @param {Function} fn 处理拦截器的方法
+ * @param {Object} host 宿主全局对象
+ * @param {Object} driver 平台驱动
+ * @param {String} driver.name 平台名称
+ * @param {Function} driver.getEnvVersion 获取宿主的环境版本
+ * @param {Object} driver.options 各网络接口的参数转换 { request(options) }
+ * @param {Object} driver.responses 各网络接口的响应结果转换 { request(res) }
+ * @param {Function} driver.error 错误信息转换 error(apiName, err)，返回 { errMsg } 或响应结果
+ * @param {Object} driver.storage 本地存储，默认使用 getStorageSync 等同步接口
+ * @param {Object} driver.methods 额外的可选接口，如 login
+ * @returns {Object} platform
  */
-InterceptorManager.prototype.forEach = function forEach(fn) {
-  utils.each(this.handlers, function eachHandler(h) {
-    if (h !== null) {
-      fn(h)
+function createHostPlatform(host, driver) {
+  let envVersion
+
+  function callHost(method) {
+    return function callHostMethod() {
+      return host[method].apply(host, arguments)
     }
-  })
-}
+  }
 
+  function callNetworkAPI(apiName) {
+    const mapOptions = driver.options && driver.options[apiName]
+    const mapResponse = driver.responses && driver.responses[apiName]
+    if (!mapOptions && !mapResponse && !driver.error) {
+      return callHost(apiName)
+    }
 
-/** 适配器 */
+    return function callHostNetworkAPI(options) {
+      const hostOptions = Object.assign({}, mapOptions ? mapOptions(options) : options)
+      hostOptions.success = function onHostSuccess(res) {
+        if (utils.isFunction(options.success)) {
+          options.success(mapResponse ? mapResponse(res) : res)
+        }
+      }
+      hostOptions.fail = function onHostFail(err) {
+        const res = driver.error ? driver.error(apiName, err) : err
+        // 部分平台状态码非 2xx 时同样进入 fail 回调，转换后带有 statusCode 的按成功处理
+        if (res && res.statusCode !== undefined) {
+          hostOptions.success(res)
+          return undefined
+        }
+        if (utils.isFunction(options.fail)) {
+          options.fail(res)
+        }
+      }
+      return host[apiName](hostOptions)
+    }
+  }
 
-/**
- * 给发起请求的适配器打上装饰函数
- *
- * @param {Function} fn 需要装饰的函数
- * @returns Function
- */
-const adapterDecorator = function adapterDecorator(fn) {
-  if (!utils.isFunction(fn)) {
-    throw Error(`[${name}] adapterDecorator 必须传入函数类型参数！`)
+  const result = {
+    name: driver.name,
+    request: callNetworkAPI('request'),
+    uploadFile: callNetworkAPI('uploadFile'),
+    downloadFile: callNetworkAPI('downloadFile'),
+    connectSocket: callNetworkAPI('connectSocket'),
+    storage: driver.storage || {
+      getItem: callHost('getStorageSync'),
+      setItem: callHost('setStorageSync'),
+      removeItem: callHost('removeStorageSync'),
+      getInfo: callHost('getStorageInfoSync')
+    },
+    // 获取失败时按 release 处理，不开启本地打印以及本地日志
+    getEnvVersion: function getEnvVersion() {
+      if (!envVersion) {
+        try {
+          envVersion = ENV_VERSIONS[driver.getEnvVersion(host)] || 'release'
+        } catch (e) {
+          envVersion = 'release'
+        }
+      }
+      return envVersion
+    },
+    // 用户文件目录
+    getUserDataPath: function getUserDataPath() {
+      return host.env && host.env.USER_DATA_PATH
+    },
+    console: root.console
   }
 
-  const decorators = arrProto.slice.call(arguments, 1)
-
-  return function adapterDecoratorFn() {
-    let { length } = decorators
-    let index = -1
-    let rets = Array.from({ length }, () => null) || []
-    while (++index < length) {
-      rets[index] = utils.isFunction(decorators[index])
-                      ? decorators[index].apply(this, arguments)
-                      : undefined
+  utils.each(['getNetworkType', 'onNetworkStatusChange', 'onAppShow', 'login', 'checkSession', 'getFileSystemManager', 'openDocument', 'saveImageToPhotosAlbum', 'saveVideoToPhotosAlbum'], function setOptionalMethod(method) {
+    if (utils.isFunction(host[method])) {
+      result[method] = callHost(method)
     }
-    return fn.apply(this, rets)
+  })
+
+  return Object.assign(result, driver.methods)
+}
+
+// 小程序帐号信息
+// https://developers.weixin.qq.com/miniprogram/dev/api/open-api/account-info/wx.getAccountInfoSync.html#%E8%BF%94%E5%9B%9E%E5%80%BC
+function getAccountEnvVersion(host) {
+  return host.getAccountInfoSync().miniProgram.envVersion
+}
+
+/**
+ * 各平台驱动
+ * 参数、回调与 wx 接口一致的平台直接调用宿主接口
+ */
+const platformDrivers = {
+  wx: function createWXPlatform(host) {
+    return createHostPlatform(host || root.wx, {
+      name: 'wx',
+      getEnvVersion: getAccountEnvVersion
+    })
+  },
+
+  qq: function createQQPlatform(host) {
+    return createHostPlatform(host || root.qq, {
+      name: 'qq',
+      getEnvVersion: getAccountEnvVersion
+    })
+  },
+
+  // 抖音等字节跳动小程序
+  // https://developer.open-douyin.com/docs/resource/zh-CN/mini-app/develop/api/foundation/tt-get-env-info-sync
+  tt: function createTTPlatform(host) {
+    return createHostPlatform(host || root.tt, {
+      name: 'tt',
+      getEnvVersion: function getEnvVersion(tt) {
+        return tt.getEnvInfoSync().microapp.envType
+      }
+    })
+  },
+
+  // 百度智能小程序
+  swan: function createSwanPlatform(host) {
+    return createHostPlatform(host || root.swan, {
+      name: 'swan',
+      getEnvVersion: function getEnvVersion(swan) {
+        return swan.getEnvInfoSync().env
+      }
+    })
+  },
+
+  // 支付宝小程序
+  // 请求头字段为 headers，响应结果使用 status\headers，上传文件使用 fileName\fileType，本地存储接口参数为对象
+  my: function createMyPlatform(host) {
+    host = host || root.my
+
+    return createHostPlatform(host, {
+      name: 'my',
+      getEnvVersion: getAccountEnvVersion,
+      options: {
+        request: function mapRequestOptions(options) {
+          const result = Object.assign({}, options, { headers: options.header })
+          delete result.header
+          return result
+        },
+        uploadFile: function mapUploadFileOptions(options) {
+          return Object.assign({}, options, {
+            fileName: options.name,
+            fileType: options.fileType || 'image'
+          })
+        },
+        connectSocket: function mapConnectSocketOptions(options) {
+          // 返回 SocketTask
+          return Object.assign({ multiple: true }, options)
+        }
+      },
+      responses: {
+        request: function mapRequestResponse(res) {
+          return Object.assign({}, res, {
+            statusCode: res.statusCode !== undefined ? res.statusCode : res.status,
+            header: res.header || res.headers
+          })
+        },
+        downloadFile: function mapDownloadFileResponse(res) {
+          return Object.assign({ statusCode: 200 }, res, {
+            tempFilePath: res.tempFilePath || res.apFilePath
+          })
+        }
+      },
+      error: function mapError(apiName, err) {
+        err = err || {}
+        // HTTP 错误时带有 status，作为响应结果处理
+        if (err.status !== undefined) {
+          return Object.assign({}, err, { statusCode: err.status, header: err.header || err.headers })
+        }
+        if (err.errMsg) {
+          return err
+        }
+        const message = MY_ERROR_MESSAGES[err.error] || ('fail ' + (err.errorMessage || err.error))
+        return Object.assign({}, err, { errMsg: apiName + ':' + message })
+      },
+      storage: {
+        getItem: function getItem(key) {
+          const res = host.getStorageSync({ key })
+          return res && res.data !== undefined && res.data !== null ? res.data : ''
+        },
+        setItem: function setItem(key, data) {
+          host.setStorageSync({ key, data })
+        },
+        removeItem: function removeItem(key) {
+          host.removeStorageSync({ key })
+        },
+        getInfo: function getInfo() {
+          return host.getStorageInfoSync()
+        }
+      },
+      methods: {
+        // 支付宝使用 my.getAuthCode 获取授权码，结果转换为 { code }
+        login: function login(options) {
+          host.getAuthCode({
+            scopes: options.scopes || 'auth_base',
+            success: function onGetAuthCodeSuccess(res) {
+              options.success(Object.assign({}, res, { code: res.authCode }))
+            },
+            fail: options.fail
+          })
+        }
+      }
+    })
+  },
+
+  // uni-app 的接口与 wx 一致
+  uni: function createUniPlatform(host) {
+    return createHostPlatform(host || root.uni, {
+      name: 'uni',
+      getEnvVersion: getAccountEnvVersion
+    })
+  },
+
+  // Taro 不注入全局对象，需要传入 Taro
+  // axios.setPlatform(axios.platforms.taro(Taro))
+  taro: function createTaroPlatform(host) {
+    return createHostPlatform(host, {
+      name: 'taro',
+      getEnvVersion: getAccountEnvVersion
+    })
   }
 }
 
 /**
- * wx.request请求适配器
+ * 创建内存中的运行平台，用于在小程序以外的环境（如 Node.js 单元测试）中运行
+ * 网络接口由 handler 返回响应结果，本地存储保存在内存中
  *
- * @param {Object} config 配置对象
- * @returns Promise对象
+ * @param {Object} options
+ * @param {Function} options.handler 处理网络接口 handler(apiName, options)，返回 { statusCode, data, header } 或 { errMsg }，可以返回 Promise
+ * @param {String} options.envVersion 环境版本，默认为 develop
+ * @param {Object} options.console 本地打印使用的 console
+ * @param {String} options.networkType 网络类型，默认为 wifi
+ * @returns {Object} platform
+ *
+ * @example
+ *
+ * axios.setPlatform(axios.platforms.memory({
+ *   handler: (apiName, options) => ({ statusCode: 200, data: { url: options.url } }),
+ * }))
  */
-function requestAdapter(config) {
-  config = config || {}
+function createMemoryPlatform(options) {
+  options = options || {}
 
-  // 参数与adapterDecorator中调用的装饰器函数返回值一致
-  function sendRequest(url, header) {
-    return new Promise(function sendWXRequest(resolve, reject) {
-      // 发起请求
-      const request = wx.request
-      const requestTask = request({
-        url,
-        header,
-        data: config.data || {},
-        dataType: config.dataType,
-        method: config.method,
-        responseType: config.responseType,
-        timeout: config.timeout,
-        enableCache: config.enableCache,
-        enableHttp2: config.enableHttp2,
-        enableQuic: config.enableQuic,
-        success: res => { adapterCallbackSettle(resolve, res) },
-        fail: err => { adapterCallbackSettle(reject, err) },
-        complete: () => { adapterCallbackSettle() },
+  const store = {}
+  const fileSystem = createMemoryFileSystem()
+  const listeners = { networkStatusChange: [], appShow: [] }
+  let networkType = options.networkType || 'wifi'
+
+  function sizeOf(value) {
+    try {
+      return JSON.stringify(value).length
+    } catch (e) {
+      return 0
+    }
+  }
+
+  function createAPI(apiName) {
+    return function memoryAPI(apiOptions) {
+      let settled = false
+      const requestTask = createMockTask(function onAbort() {
+        settle({ errMsg: apiName + ':fail abort' })
       })
-      // 请求任务
-      // https://developers.weixin.qq.com/miniprogram/dev/api/network/request/RequestTask.html
-      if (config.task) {
-        adapterTaskSettle(requestTask, config.task, config)
+
+      function settle(res) {
+        if (settled) {
+          return undefined
+        }
+        settled = true
+        const isFail = res && res.errMsg && res.errMsg.indexOf(':fail') !== -1
+        const callback = isFail ? apiOptions.fail : apiOptions.success
+        if (utils.isFunction(callback)) {
+          callback(isFail ? res : Object.assign({ errMsg: apiName + ':ok' }, res))
+        }
+        if (utils.isFunction(apiOptions.complete)) {
+          apiOptions.complete()
+        }
       }
-    })
+
+      result.calls.push({ apiName, options: apiOptions, task: requestTask })
+
+      // 与 wx 接口一致，回调总是异步执行
+      setTimeout(function callHandler() {
+        new Promise(function handle(resolve) {
+          resolve(utils.isFunction(options.handler)
+                    ? options.handler(apiName, apiOptions, requestTask)
+                    : { statusCode: 404, data: {}, header: {} })
+        }).then(function onHandlerResolve(res) {
+          settle(res || {})
+          if (apiName === 'connectSocket' && !(res && res.errMsg)) {
+            requestTask.emit('onOpen', { header: {} })
+          }
+        }, function onHandlerReject(err) {
+          settle({ errMsg: apiName + ':fail ' + ((err && err.message) || err) })
+        })
+      }, options.delay || 0)
+
+      return requestTask
+    }
   }
 
-  // 路径、Authorization不同适配器会有部分差异，不在dispatchRequest函数中进行处理
-  // 使用装饰器将获得url路径、header.Authorization的逻辑与发起请求的逻辑进行分离
-  const requestAdapterHandler = adapterDecorator(sendRequest, setFullPathURL, setAuthorizationHeader)
+  // 直接成功的接口，调用记录在 calls 中
+  function createSuccessAPI(apiName, getResult) {
+    return function memorySuccessAPI(apiOptions) {
+      result.calls.push({ apiName, options: apiOptions })
+      setTimeout(function callSuccess() {
+        apiOptions.success(Object.assign({ errMsg: apiName + ':ok' }, getResult ? getResult(apiOptions) : {}))
+      })
+    }
+  }
 
-  return requestAdapterHandler(config)
+  const result = {
+    name: 'memory',
+    calls: [],
+    request: createAPI('request'),
+    uploadFile: createAPI('uploadFile'),
+    downloadFile: createAPI('downloadFile'),
+    connectSocket: createAPI('connectSocket'),
+    storage: {
+      getItem: function getItem(key) {
+        return objProto.hasOwnProperty.call(store, key) ? utils.cloneDeep(store[key]) : ''
+      },
+      setItem: function setItem(key, value) {
+        store[key] = utils.cloneDeep(value)
+      },
+      removeItem: function removeItem(key) {
+        delete store[key]
+      },
+      getInfo: function getInfo() {
+        return {
+          keys: Object.keys(store),
+          currentSize: Math.ceil(sizeOf(store) / 1024),
+          limitSize: 10240
+        }
+      }
+    },
+    getEnvVersion: function getEnvVersion() {
+      return options.envVersion || 'develop'
+    },
+    console: options.console || root.console,
+    getNetworkType: function getNetworkType(apiOptions) {
+      setTimeout(function callSuccess() {
+        apiOptions.success({ networkType })
+      })
+    },
+    onNetworkStatusChange: function onNetworkStatusChange(listener) {
+      listeners.networkStatusChange.push(listener)
+    },
+    onAppShow: function onAppShow(listener) {
+      listeners.appShow.push(listener)
+    },
+    login: function login(apiOptions) {
+      setTimeout(function callSuccess() {
+        apiOptions.success({ code: options.loginCode || 'memory-code', errMsg: 'login:ok' })
+      })
+    },
+    checkSession: function checkSession(apiOptions) {
+      setTimeout(function callSuccess() {
+        apiOptions.success({ errMsg: 'checkSession:ok' })
+      })
+    },
+    getFileSystemManager: function getFileSystemManager() {
+      return fileSystem
+    },
+    getUserDataPath: function getUserDataPath() {
+      return options.userDataPath || 'memory://usr'
+    },
+    openDocument: createSuccessAPI('openDocument'),
+    saveImageToPhotosAlbum: createSuccessAPI('saveImageToPhotosAlbum'),
+    saveVideoToPhotosAlbum: createSuccessAPI('saveVideoToPhotosAlbum'),
+    // 以下为测试使用的辅助方法
+    files: fileSystem.files,
+    setNetworkType: function setNetworkType(type) {
+      networkType = type
+      utils.each(listeners.networkStatusChange.slice(), function callListener(listener) {
+        listener({ isConnected: type !== 'none', networkType: type })
+      })
+    },
+    show: function show() {
+      utils.each(listeners.appShow.slice(), function callListener(listener) {
+        listener({})
+      })
+    }
+  }
+
+  return result
 }
 
 /**
- * wx.uploadFile 请求适配器
+ * 创建内存中的文件系统，接口与 wx.getFileSystemManager() 一致
+ * files 保存路径对应的文件内容（Uint8Array）
  *
- * @param {Object} config 配置对象
- * @returns Promise对象
+ * @returns {Object} fileSystem
  */
-function uploadFileAdapter(config) {
-  config = config || {}
+function createMemoryFileSystem() {
+  const files = {}
+
+  function createMethod(apiName, handle) {
+    return function memoryFileMethod(apiOptions) {
+      apiOptions = apiOptions || {}
+      setTimeout(function callHandle() {
+        let res
+        try {
+          res = Object.assign({ errMsg: apiName + ':ok' }, handle(apiOptions))
+        } catch (err) {
+          res = { errMsg: apiName + ':fail ' + err.message }
+          if (utils.isFunction(apiOptions.fail)) {
+            apiOptions.fail(res)
+          }
+          if (utils.isFunction(apiOptions.complete)) {
+            apiOptions.complete(res)
+          }
+          return undefined
+        }
+        if (utils.isFunction(apiOptions.success)) {
+          apiOptions.success(res)
+        }
+        if (utils.isFunction(apiOptions.complete)) {
+          apiOptions.complete(res)
+        }
+      })
+    }
+  }
 
-  if (!config.name || !config.filePath) {
-    throw Error(`[${name}] wx.uploadFile 需要传入 name filePath 属性！`)
+  function getFile(filePath) {
+    if (!objProto.hasOwnProperty.call(files, filePath)) {
+      throw Error('no such file or directory ' + filePath)
+    }
+    return files[filePath]
   }
 
-  function sendRequest(url, header) {
-    return new Promise(function sendWXUploadFile(resolve, reject) {
-      // wx.uploadFile 的 content-type 必须为 multipart/form-data
-      header['content-type'] = 'multipart/form-data'
-      // 发起请求
-      const request = wx.uploadFile
-      const requestTask = request({
-        method: 'POST',
-        url,
-        header,
-        name: config.name,
-        filePath: config.filePath,
-        timeout: config.timeout,
-        success: res => { adapterCallbackSettle(resolve, res) },
-        fail: err => { adapterCallbackSettle(reject, err) },
-        complete: () => { adapterCallbackSettle() },
-      })
-      // 请求任务
-      if (config.task) {
-        adapterTaskSettle(requestTask, config.task, config)
+  function concatBytes(a, b) {
+    const result = new Uint8Array(a.length + b.length)
+    result.set(a, 0)
+    result.set(b, a.length)
+    return result
+  }
+
+  return {
+    files,
+    readFile: createMethod('readFile', function readFile(apiOptions) {
+      const file = getFile(apiOptions.filePath)
+      const position = apiOptions.position || 0
+      const length = apiOptions.length === undefined ? file.length - position : apiOptions.length
+      const bytes = file.slice(position, position + length)
+      if (apiOptions.encoding === 'utf8' || apiOptions.encoding === 'utf-8') {
+        return { data: decodeURIComponent(escape(String.fromCharCode.apply(null, bytes))) }
       }
+      return { data: bytes.buffer }
+    }),
+    writeFile: createMethod('writeFile', function writeFile(apiOptions) {
+      files[apiOptions.filePath] = helpers.toUint8Array(apiOptions.data).slice()
+    }),
+    appendFile: createMethod('appendFile', function appendFile(apiOptions) {
+      files[apiOptions.filePath] = concatBytes(getFile(apiOptions.filePath), helpers.toUint8Array(apiOptions.data))
+    }),
+    unlink: createMethod('unlink', function unlink(apiOptions) {
+      getFile(apiOptions.filePath)
+      delete files[apiOptions.filePath]
+    }),
+    access: createMethod('access', function access(apiOptions) {
+      getFile(apiOptions.path)
+    }),
+    mkdir: createMethod('mkdir', noop),
+    rename: createMethod('rename', function rename(apiOptions) {
+      files[apiOptions.newPath] = getFile(apiOptions.oldPath)
+      delete files[apiOptions.oldPath]
+    }),
+    copyFile: createMethod('copyFile', function copyFile(apiOptions) {
+      files[apiOptions.destPath] = getFile(apiOptions.srcPath).slice()
+    }),
+    getFileInfo: createMethod('getFileInfo', function getFileInfo(apiOptions) {
+      const file = getFile(apiOptions.filePath)
+      const Hash = hashAlgorithms[apiOptions.digestAlgorithm]
+      return Hash
+              ? { size: file.length, digest: new Hash().update(file).digest() }
+              : { size: file.length }
+    }),
+    stat: createMethod('stat', function stat(apiOptions) {
+      return { stats: { size: getFile(apiOptions.path).length, lastModifiedTime: 0 } }
     })
   }
+}
 
-  const uploadFileAdapterHandler = adapterDecorator(sendRequest, setFullPathURL, setAuthorizationHeader)
+/**
+ * 当前环境是否开启本地打印、本地日志
+ * 未设置时非 release 环境开启
+ *
+ * @param {Boolean} value 配置对象中的 openLocalPrinter\openLocalLogger
+ * @returns {Boolean} true or false
+ */
+function isLocalRecordEnabled(value) {
+  if (value === undefined || value === null) {
+    try {
+      return getPlatform().getEnvVersion() !== 'release'
+    } catch (e) {
+      return false
+    }
+  }
+  return !!value
+}
 
-  return uploadFileAdapterHandler(config)
+
+/** 拦截器 */
+
+/**
+ * 拦截器管理类
+ */
+function InterceptorManager() {
+  this.handlers = []
 }
 
 /**
- * wx.downloadFile 请求适配器
+ * 将拦截器推入栈中
+ *
+ * @param {Function} fulfilled 处理 Promise 返回 then 的逻辑
+ * @param {Function} rejected 处理 Promise 返回 reject 的逻辑
+ * @param {Object} options 额外处理的参数
+ * @param {Boolean} options.synchronous 请求拦截器是否同步执行，所有请求拦截器都为同步时不再经过 Promise 链
+ * @param {Function} options.runWhen 接收配置对象，返回 false 时跳过该请求拦截器
+ * @returns {Number} 当前拦截器ID，可用于后续删除操作
+ */
+InterceptorManager.prototype.use = function use(fulfilled, rejected, options) {
+  this.handlers.push({
+    fulfilled: fulfilled,
+    rejected: rejected,
+    synchronous: options ? !!options.synchronous : false,
+    runWhen: options ? options.runWhen : null
+  })
+  return this.handlers.length - 1
+}
+
+/**
+ * 删除拦截器
+ *
+ * @param {*} id 拦截器ID
+ */
+InterceptorManager.prototype.eject = function eject(id) {
+  if (this.handlers[id]) {
+    this.handlers[id] = null
+  }
+}
+
+/**
+ * 遍历已注册的拦截器
+ *
+ * @param {Function} fn 处理拦截器的方法
+ */
+InterceptorManager.prototype.forEach = function forEach(fn) {
+  utils.each(this.handlers, function eachHandler(h) {
+    if (h !== null) {
+      fn(h)
+    }
+  })
+}
+
+
+/** 错误处理 */
+
+/**
+ * 请求错误类
  *
+ * @param {String} message 错误信息
+ * @param {String} code 错误码
  * @param {Object} config 配置对象
- * @returns Promise对象
+ * @param {Object} request 请求任务对象
+ * @param {Object} response 响应结果
  */
-function downloadFileAdapter(config) {
-  config = config || {}
+function AxiosError(message, code, config, request, response) {
+  Error.call(this)
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor)
+  } else {
+    this.stack = (new Error()).stack
+  }
 
-  function sendRequest(url, header) {
-    return new Promise(function sendWXDownloadFile(resolve, reject) {
-      // 发起请求
-      const request = wx.downloadFile
-      const requestTask = request({
-        method: 'GET',
-        url,
-        header,
-        filePath: config.filePath || '',
-        timeout: config.timeout,
-        success: res => { adapterCallbackSettle(resolve, res) },
-        fail: err => { adapterCallbackSettle(reject, err) },
-        complete: () => { adapterCallbackSettle() },
-      })
-      // 请求任务
-      if (config.task) {
-        adapterTaskSettle(requestTask, config.task, config)
+  this.name = 'AxiosError'
+  this.message = message
+  this.code = code
+  this.config = config
+  this.request = request
+  this.response = response
+  this.status = response ? response.status : undefined
+}
+
+AxiosError.prototype = Object.create(Error.prototype, {
+  constructor: { value: AxiosError, writable: true, configurable: true }
+})
+
+AxiosError.prototype.isAxiosError = true
+
+/**
+ * 序列化错误信息，便于上报以及本地日志记录
+ * 只保留 ERROR_CONFIG_KEYS 中的请求参数，避免请求头中的 Authorization 等鉴权信息被上报
+ *
+ * @returns {Object}
+ */
+AxiosError.prototype.toJSON = function toJSON() {
+  const config = this.config
+  let configJSON
+  if (config) {
+    configJSON = {}
+    utils.each(ERROR_CONFIG_KEYS, function copyConfig(key) {
+      if (config[key] !== undefined) {
+        configJSON[key] = config[key]
       }
     })
   }
+  return {
+    name: this.name,
+    message: this.message,
+    code: this.code,
+    errMsg: this.errMsg,
+    status: this.status,
+    config: configJSON,
+    stack: this.stack
+  }
+}
 
-  const downloadFileAdapterHandler = adapterDecorator(sendRequest, setFullPathURL, setAuthorizationHeader)
+// 错误码
+AxiosError.ERR_TIMEOUT = 'ERR_TIMEOUT'
+AxiosError.ERR_NETWORK = 'ERR_NETWORK'
+AxiosError.ERR_CANCELED = 'ERR_CANCELED'
+AxiosError.ERR_BAD_RESPONSE = 'ERR_BAD_RESPONSE'
+AxiosError.ERR_BAD_REQUEST = 'ERR_BAD_REQUEST'
+AxiosError.ERR_PARSE = 'ERR_PARSE'
 
-  return downloadFileAdapterHandler(config)
+/**
+ * 根据 wx 接口 fail 回调的 errMsg 创建错误对象
+ *
+ * @param {Object} res fail 回调的参数 { errMsg }
+ * @param {Object} config 配置对象
+ * @param {Object} request 请求任务对象
+ * @returns {AxiosError}
+ *
+ * @example
+ *
+ * 'request:fail abort' // ERR_CANCELED
+ * 'request:fail timeout' // ERR_TIMEOUT
+ * 'request:fail -101:net::ERR_CONNECTION_RESET' // ERR_NETWORK
+ */
+AxiosError.fromErrMsg = function fromErrMsg(res, config, request) {
+  const errMsg = (res && res.errMsg) || ''
+  let error
+  if (reAbortErrMsg.test(errMsg)) {
+    error = new CanceledError(errMsg, config, request)
+  } else {
+    const code = reTimeoutErrMsg.test(errMsg) ? AxiosError.ERR_TIMEOUT : AxiosError.ERR_NETWORK
+    error = new AxiosError(`[${name}] ${errMsg || '请求失败'}`, code, config, request)
+  }
+  error.errMsg = errMsg
+  return error
 }
 
 /**
- * wx.connectSocket 请求适配器
+ * 判断value是否为请求错误对象
  *
- * @param {Object} config 配置对象
- * @returns Promise对象
+ * @param {*} value
+ * @returns {Boolean} true or false
  */
-function connectSocketAdapter(config) {
-  config = config || {}
+function isAxiosError(value) {
+  return !!(value && value.isAxiosError === true)
+}
+
+
+/** 取消请求 */
+
+/**
+ * 请求被取消时返回的对象
+ * 可通过 axios.isCancel 进行判断
+ *
+ * @param {String} message 取消原因
+ * @param {Object} config 配置对象
+ * @param {Object} request 请求任务对象
+ */
+function CanceledError(message, config, request) {
+  AxiosError.call(this, message || '请求已取消', AxiosError.ERR_CANCELED, config, request)
+  this.name = 'CanceledError'
+}
+
+CanceledError.prototype = Object.create(AxiosError.prototype, {
+  constructor: { value: CanceledError, writable: true, configurable: true }
+})
+
+CanceledError.prototype.toString = function toString() {
+  return this.name + ': ' + this.message
+}
+
+CanceledError.prototype.__CANCEL__ = true
+
+/**
+ * 判断value是否为取消请求时返回的对象
+ *
+ * @param {*} value
+ * @returns {Boolean} true or false
+ */
+function isCancel(value) {
+  return !!(value && value.__CANCEL__)
+}
+
+/**
+ * 取消令牌
+ *
+ * @param {Function} executor 执行函数，接收 cancel 函数作为参数
+ *
+ * @example
+ *
+ * const source = CancelToken.source()
+ * axios.get('/user/12345', { cancelToken: source.token })
+ * source.cancel('取消原因')
+ */
+function CancelToken(executor) {
+  if (!utils.isFunction(executor)) {
+    throw TypeError(`[${name}] CancelToken 必须传入函数类型参数！`)
+  }
+
+  const token = this
+  this.reason = undefined
+  this.listeners = []
+
+  executor(function cancel(message) {
+    // 已经取消过的令牌不再重复处理
+    if (token.reason) {
+      return undefined
+    }
+    token.reason = new CanceledError(message)
+    utils.each(token.listeners.splice(0), function callListener(listener) {
+      listener(token.reason)
+    })
+  })
+}
+
+/**
+ * 令牌已取消时抛出取消原因
+ */
+CancelToken.prototype.throwIfRequested = function throwIfRequested() {
+  if (this.reason) {
+    throw this.reason
+  }
+}
+
+/**
+ * 监听取消事件，令牌已取消时立即执行
+ *
+ * @param {Function} listener 监听函数
+ */
+CancelToken.prototype.subscribe = function subscribe(listener) {
+  if (this.reason) {
+    listener(this.reason)
+    return undefined
+  }
+  this.listeners.push(listener)
+}
+
+/**
+ * 移除取消事件的监听
+ *
+ * @param {Function} listener 监听函数
+ */
+CancelToken.prototype.unsubscribe = function unsubscribe(listener) {
+  const index = this.listeners.indexOf(listener)
+  if (index !== -1) {
+    this.listeners.splice(index, 1)
+  }
+}
+
+/**
+ * 创建取消令牌以及对应的取消函数
+ *
+ * @returns {Object} { token, cancel }
+ */
+CancelToken.source = function source() {
+  let cancel
+  const token = new CancelToken(function executor(c) {
+    cancel = c
+  })
+  return { token, cancel }
+}
+
+/**
+ * 小程序环境没有提供 AbortController，这里提供一个兼容 signal 配置的简易实现
+ */
+function AbortSignal() {
+  this.aborted = false
+  this.reason = undefined
+  this.onabort = null
+  this.listeners = []
+}
+
+AbortSignal.prototype.addEventListener = function addEventListener(type, listener) {
+  if (type === 'abort') {
+    this.listeners.push(listener)
+  }
+}
+
+AbortSignal.prototype.removeEventListener = function removeEventListener(type, listener) {
+  const index = this.listeners.indexOf(listener)
+  if (type === 'abort' && index !== -1) {
+    this.listeners.splice(index, 1)
+  }
+}
+
+function AbortController() {
+  this.signal = new AbortSignal()
+}
+
+/**
+ * 触发 signal 的 abort 事件
+ *
+ * @param {*} reason 取消原因
+ */
+AbortController.prototype.abort = function abort(reason) {
+  const signal = this.signal
+  if (signal.aborted) {
+    return undefined
+  }
+  signal.aborted = true
+  signal.reason = reason
+  const event = { type: 'abort', target: signal }
+  if (utils.isFunction(signal.onabort)) {
+    signal.onabort(event)
+  }
+  utils.each(signal.listeners.splice(0), function callListener(listener) {
+    listener(event)
+  })
+}
+
+/**
+ * 获取 signal 的取消原因
+ *
+ * @param {Object} signal
+ * @returns {CanceledError}
+ */
+function getSignalReason(signal) {
+  return isCancel(signal.reason)
+          ? signal.reason
+          : new CanceledError(utils.isString(signal.reason) ? signal.reason : '')
+}
+
+/**
+ * 请求已被取消时抛出取消原因
+ *
+ * @param {Object} config 配置对象
+ */
+function throwIfCancellationRequested(config) {
+  if (config.cancelToken) {
+    config.cancelToken.throwIfRequested()
+  }
+  if (config.signal && config.signal.aborted) {
+    throw getSignalReason(config.signal)
+  }
+}
+
+/**
+ * 监听配置对象中的 cancelToken、signal
+ * 任意一个触发时执行 onCancel，并且只执行一次
+ *
+ * @param {Object} config 配置对象
+ * @param {Function} onCancel 接收 CanceledError 作为参数
+ * @returns {Function} 移除监听的函数
+ */
+function subscribeCancel(config, onCancel) {
+  const { cancelToken, signal } = config
+  let done = false
+
+  function unsubscribe() {
+    done = true
+    if (cancelToken) {
+      cancelToken.unsubscribe(onTokenCancel)
+    }
+    if (signal && signal.removeEventListener) {
+      signal.removeEventListener('abort', onSignalAbort)
+    }
+  }
+
+  function settle(reason) {
+    if (done) {
+      return undefined
+    }
+    unsubscribe()
+    onCancel(reason)
+  }
+
+  function onTokenCancel(reason) {
+    settle(reason)
+  }
+
+  function onSignalAbort() {
+    settle(getSignalReason(signal))
+  }
+
+  if (cancelToken) {
+    cancelToken.subscribe(onTokenCancel)
+  }
+  if (signal) {
+    if (signal.aborted) {
+      onSignalAbort()
+    } else if (signal.addEventListener) {
+      signal.addEventListener('abort', onSignalAbort)
+    }
+  }
+
+  return unsubscribe
+}
+
+
+/** 适配器 */
+
+/**
+ * 给发起请求的适配器打上装饰函数
+ *
+ * @param {Function} fn 需要装饰的函数
+ * @returns Function
+ */
+const adapterDecorator = function adapterDecorator(fn) {
+  if (!utils.isFunction(fn)) {
+    throw Error(`[${name}] adapterDecorator 必须传入函数类型参数！`)
+  }
+
+  const decorators = arrProto.slice.call(arguments, 1)
+
+  return function adapterDecoratorFn() {
+    let { length } = decorators
+    let index = -1
+    let rets = Array.from({ length }, () => null) || []
+    while (++index < length) {
+      rets[index] = utils.isFunction(decorators[index])
+                      ? decorators[index].apply(this, arguments)
+                      : undefined
+    }
+    return fn.apply(this, rets)
+  }
+}
+
+/**
+ * wx.request请求适配器
+ *
+ * @param {Object} config 配置对象
+ * @returns Promise对象
+ */
+function requestAdapter(config) {
+  config = config || {}
+
+  // 参数与adapterDecorator中调用的装饰器函数返回值一致
+  function sendRequest(url, header) {
+    return new Promise(function sendWXRequest(resolve, reject) {
+      // 请求已被取消则不再发起
+      try {
+        throwIfCancellationRequested(config)
+      } catch (err) {
+        return reject(err)
+      }
+      let unsubscribeCancel = noop
+      // 流式响应通过 onChunkReceived 写入数据流，响应结果的 data 为数据流
+      const responseStream = config.responseType === 'stream' ? config.stream : null
+      // 发起请求
+      const request = getPlatform().request
+      const requestTask = request({
+        url,
+        header,
+        data: config.data || {},
+        dataType: config.dataType,
+        method: config.method,
+        responseType: responseStream ? 'arraybuffer' : config.responseType,
+        timeout: config.timeout,
+        enableCache: config.enableCache,
+        enableHttp2: config.enableHttp2,
+        enableQuic: config.enableQuic,
+        enableChunked: config.enableChunked || !!responseStream,
+        success: res => {
+          if (responseStream) {
+            // 服务端没有分块返回或平台不支持分块接收时，数据在 success 中一次性返回
+            if (!responseStream.receivedBytes && res.data) {
+              responseStream.push(res.data)
+            }
+            if (!responseStream.status) {
+              responseStream.status = res.statusCode || 0
+              responseStream.headers = new AxiosHeaders(res.header)
+            }
+            res = Object.assign({}, res, { data: responseStream })
+          }
+          adapterCallbackSettle(resolve, res)
+        },
+        fail: err => { adapterCallbackSettle(reject, AxiosError.fromErrMsg(err, config, requestTask)) },
+        complete: () => { unsubscribeCancel() },
+      })
+      // 记录任务对象，用于响应结果以及错误信息
+      config.requestTask = requestTask
+      // 取消请求
+      unsubscribeCancel = adapterCancelSettle(requestTask, config, reject, 'abort')
+      // 部分平台的任务对象没有 onHeadersReceived\onChunkReceived，数据在 success 中一次性写入
+      if (responseStream) {
+        responseStream.requestTask = requestTask
+        if (utils.isFunction(requestTask.onHeadersReceived)) {
+          requestTask.onHeadersReceived(function onStreamHeaders(res) {
+            responseStream.status = res.statusCode || 0
+            responseStream.headers = new AxiosHeaders(res.header)
+          })
+        }
+        if (utils.isFunction(requestTask.onChunkReceived)) {
+          requestTask.onChunkReceived(function onStreamChunk(res) {
+            responseStream.push(res.data)
+          })
+        }
+      }
+      // 请求任务
+      // https://developers.weixin.qq.com/miniprogram/dev/api/network/request/RequestTask.html
+      if (config.task) {
+        adapterTaskSettle(requestTask, config.task, config)
+      }
+    })
+  }
+
+  // 路径、Authorization不同适配器会有部分差异，不在dispatchRequest函数中进行处理
+  // 使用装饰器将获得url路径、header.Authorization的逻辑与发起请求的逻辑进行分离
+  const requestAdapterHandler = adapterDecorator(sendRequest, setFullPathURL, setAuthorizationHeader)
+
+  return requestAdapterHandler(config)
+}
+
+/**
+ * wx.uploadFile 请求适配器
+ *
+ * @param {Object} config 配置对象
+ * @returns Promise对象
+ */
+function uploadFileAdapter(config) {
+  config = config || {}
+
+  if (!config.name || !config.filePath) {
+    throw Error(`[${name}] wx.uploadFile 需要传入 name filePath 属性！`)
+  }
+
+  function sendRequest(url, header) {
+    return new Promise(function sendWXUploadFile(resolve, reject) {
+      // wx.uploadFile 的 content-type 必须为 multipart/form-data
+      header['content-type'] = 'multipart/form-data'
+      // 请求已被取消则不再发起
+      try {
+        throwIfCancellationRequested(config)
+      } catch (err) {
+        return reject(err)
+      }
+      let unsubscribeCancel = noop
+      // 发起请求
+      const request = getPlatform().uploadFile
+      const requestTask = request({
+        method: 'POST',
+        url,
+        header,
+        name: config.name,
+        filePath: config.filePath,
+        formData: config.formData,
+        fileType: config.fileType,
+        timeout: config.timeout,
+        success: res => { adapterCallbackSettle(resolve, res) },
+        fail: err => { adapterCallbackSettle(reject, AxiosError.fromErrMsg(err, config, requestTask)) },
+        complete: () => { unsubscribeCancel() },
+      })
+      // 记录任务对象，用于响应结果以及错误信息
+      config.requestTask = requestTask
+      // 取消请求
+      unsubscribeCancel = adapterCancelSettle(requestTask, config, reject, 'abort')
+      // 请求任务
+      if (config.task) {
+        adapterTaskSettle(requestTask, config.task, config)
+      }
+    })
+  }
+
+  const uploadFileAdapterHandler = adapterDecorator(sendRequest, setFullPathURL, setAuthorizationHeader)
+
+  return uploadFileAdapterHandler(config)
+}
+
+/**
+ * wx.downloadFile 请求适配器
+ *
+ * @param {Object} config 配置对象
+ * @returns Promise对象
+ */
+function downloadFileAdapter(config) {
+  config = config || {}
+
+  function sendRequest(url, header) {
+    return new Promise(function sendWXDownloadFile(resolve, reject) {
+      // 请求已被取消则不再发起
+      try {
+        throwIfCancellationRequested(config)
+      } catch (err) {
+        return reject(err)
+      }
+      let unsubscribeCancel = noop
+      // 发起请求
+      const request = getPlatform().downloadFile
+      const requestTask = request({
+        method: 'GET',
+        url,
+        header,
+        filePath: config.filePath || '',
+        timeout: config.timeout,
+        success: res => { adapterCallbackSettle(resolve, res) },
+        fail: err => { adapterCallbackSettle(reject, AxiosError.fromErrMsg(err, config, requestTask)) },
+        complete: () => { unsubscribeCancel() },
+      })
+      // 记录任务对象，用于响应结果以及错误信息
+      config.requestTask = requestTask
+      // 取消请求
+      unsubscribeCancel = adapterCancelSettle(requestTask, config, reject, 'abort')
+      // 请求任务
+      if (config.task) {
+        adapterTaskSettle(requestTask, config.task, config)
+      }
+    })
+  }
+
+  const downloadFileAdapterHandler = adapterDecorator(sendRequest, setFullPathURL, setAuthorizationHeader)
+
+  return downloadFileAdapterHandler(config)
+}
+
+/**
+ * wx.connectSocket 请求适配器
+ *
+ * @param {Object} config 配置对象
+ * @returns Promise对象
+ */
+function connectSocketAdapter(config) {
+  config = config || {}
+
+  function sendRequest(url, header) {
+    return new Promise(function sendWXConnectSocket(resolve, reject) {
+      // 请求已被取消则不再发起
+      try {
+        throwIfCancellationRequested(config)
+      } catch (err) {
+        return reject(err)
+      }
+      // 发起请求
+      const request = getPlatform().connectSocket
+      const requestTask = request({
+        url,
+        header,
+        protocols: config.protocols,
+        tcpNoDelay: config.tcpNoDelay || false,
+        perMessageDeflate: config.perMessageDeflate || false,
+        timeout: config.timeout,
+        success: res => { adapterCallbackSettle(resolve, res) },
+        fail: err => { adapterCallbackSettle(reject, AxiosError.fromErrMsg(err, config, requestTask)) },
+        complete: () => { adapterCallbackSettle() },
+      })
+      // 记录任务对象，用于响应结果以及错误信息
+      config.requestTask = requestTask
+      // 取消请求，socket 连接建立后仍可通过取消令牌关闭
+      adapterCancelSettle(requestTask, config, reject, 'close')
+      // 请求任务
+      if (config.task) {
+        adapterTaskSettle(requestTask, config.task, config)
+      }
+    })
+  }
+
+  const connectSocketAdapterHandler = adapterDecorator(sendRequest, setFullPathURL, setAuthorizationHeader)
+
+  return connectSocketAdapterHandler(config)
+}
+
+/**
+ * 设置 URL 完整路径
+ *
+ * @param {Object} config 配置对象
+ */
+function setFullPathURL(config) {
+  let fullPath = config.baseURL
+  // 填充路径模板，保留模板便于日志按接口归类
+  if (config.url && helpers.hasPathParams(config.url)) {
+    const filled = helpers.fillPathParams(config.url, config.pathParams, config.params)
+    config.urlTemplate = config.url
+    config.url = filled.url
+    config.params = filled.params
+  }
+  if (config.params && config.url) {
+    config.url = helpers.buildPathParam(config.url, config.params, config.paramsSerializer)
+  }
+  if (config.url) {
+    fullPath = helpers.buildFullPath(config.baseURL, config.url)
+  }
+  return fullPath
+}
+
+/**
+ * 设置 header.Authorization 参数
+ *
+ * @param {Object} config 配置对象
+ */
+function setAuthorizationHeader(config) {
+  let requestHeader = config.header || {}
+  if (config.auth || config.token) {
+    const getAuthorization = function(config) {
+      let authorization = ''
+      // 处理 HTTP Basic Auth
+      if (config.auth) {
+        const username = config.auth.username || ''
+        const password = config.auth.password ? unescape(encodeURIComponent(config.auth.password)) : ''
+        authorization = 'Basic ' + utils.base64Encode(username + ':' + password)
+      }
+      // 处理 HTTP Bearer Token
+      if (config.token) {
+        authorization = 'Bearer ' + config.token
+      }
+      return authorization
+    }
+    requestHeader.Authorization = getAuthorization(config)
+  }
+  return requestHeader
+}
+
+/**
+ * 请求适配器调用成功、失败、完成后的回调事件
+ */
+function adapterCallbackSettle() {
+  arguments.length < 2
+    ? noop()
+    : utils.isFunction(arguments[0])
+        ? arrProto.shift.call(arguments).call(this, arrProto.shift.call(arguments) || {})
+        : noop()
+}
+
+/**
+ * 请求适配器取消处理
+ * cancelToken、signal 触发时调用任务对象的 abort\close 方法，并以 CanceledError 结束请求
+ *
+ * @param {Object} requestTask 请求任务对象
+ * @param {Object} config 配置对象
+ * @param {Function} reject 请求 Promise 的 reject 函数
+ * @param {String} method 任务对象的终止方法
+ * @returns {Function} 移除监听的函数
+ */
+function adapterCancelSettle(requestTask, config, reject, method) {
+  if (!requestTask || (!config.cancelToken && !config.signal)) {
+    return noop
+  }
+
+  const unsubscribe = subscribeCancel(config, function onCancel(reason) {
+    reject(new CanceledError(reason.message, config, requestTask))
+    if (utils.isFunction(requestTask[method])) {
+      requestTask[method]()
+    }
+  })
+
+  // wx.connectSocket 在连接关闭后才移除监听
+  if (method === 'close' && utils.isFunction(requestTask.onClose)) {
+    requestTask.onClose(unsubscribe)
+  }
+
+  return unsubscribe
+}
+
+/**
+ * 请求适配器任务处理
+ * @param {Object} requestTask 请求任务对象
+ * @param {Object} configTask 配置任务对象
+ * @param {Object} config 配置对象
+ */
+function adapterTaskSettle(requestTask, configTask, config) {
+  if (!requestTask) {
+    return undefined
+  }
+
+  if (!utils.isPlainObject(configTask)) {
+    configTask = {}
+  }
+
+  function localPrint(c, k, r) {
+    if (c && c.printManager && isLocalRecordEnabled(c.openLocalPrinter)) {
+      c.printManager.printTask(c, k, r)
+    }
+  }
+
+  // abort 属于 wx.request\wx.uploadFile\wx.downloadFile 任务对象
+  // close\send 属于 wx.connectSocket 任务对象
+  const legalTasks = ['abort', 'close', 'send']
+  // onProgressUpdate\offProgressUpdate 属于 wx.uploadFile\wx.downloadFile 任务对象回调
+  // onHeadersReceived\offHeadersReceived 属于 wx.request\wx.uploadFile\wx.downloadFile 任务对象回调
+  // onChunkReceived\offChunkReceived 属于 wx.request 任务对象回调
+  // onOpen\onMessage\onError\onClose 属于 wx.connectSocket 任务对象回调
+  const legalCallbackTasks = ['onProgressUpdate', 'offProgressUpdate', 'onHeadersReceived', 'offHeadersReceived', 'onChunkReceived', 'offChunkReceived', 'onOpen', 'onMessage', 'onError', 'onClose']
+
+  utils.each(configTask, function setRequestTask(value, key) {
+    if (utils.isFunction(value) && configTask[key]) {
+      if (legalCallbackTasks.includes(key)) {
+        requestTask[key](function requestTaskCallback(res) {
+          configTask[key].apply(this, [res, requestTask])
+          localPrint(config, key, res)
+        })
+      } else {
+        configTask[key].call(this, requestTask)
+      }
+    }
+  })
+}
+
+/**
+ * 获取适配器
+ *
+ * @param {Object} config 配置对象
+ */
+function getDefaultAdapter(config) {
+  if (!config) {
+    throw Error(nonConfigError)
+  }
+
+  let adapter
+  let adapterName
+  // 使用 wx.uploadFile\wx.downloadFile\wx.connectSocket 特有的参数字段进行判断
+  // 如果config有 name、filePath 属性，则认为当前使用了 wx.uploadFile 接口
+  // 如果config只有 filePath 属性，则认为当前使用了 wx.downloadFile 接口
+  // 如果config只有 protocols 属性，则认为当前使用了 wx.connectSocket 接口
+  // 如果config没有 name、filePath、protocols 属性，则认为当前使用了 wx.request 接口
+  if (config.name && config.filePath) {
+    adapter = uploadFileAdapter
+    adapterName = 'wx.uploadFile'
+  } else if (!config.name && objProto.hasOwnProperty.call(config, 'filePath')) {
+    adapter = downloadFileAdapter
+    adapterName = 'wx.downloadFile'
+  } else if (objProto.hasOwnProperty.call(config, 'protocols')) {
+    adapter = connectSocketAdapter
+    adapterName = 'wx.connectSocket'
+  } else {
+    adapter = requestAdapter
+    adapterName = 'wx.request'
+  }
+  return { adapter, adapterName }
+}
+
+
+/** 表单数据 */
+
+/**
+ * 在内存中构建 multipart/form-data 请求体，用于 wx.request 在一个请求中发送多个文件以及字段
+ * wx.request 发送时序列化为 ArrayBuffer，content-type 自动设置为 multipart/form-data; boundary=...
+ *
+ * @example
+ *
+ * const form = new axios.FormData()
+ * form.append('orderId', 1)
+ * form.append('thumb', arrayBuffer, { filename: 'thumb.png', contentType: 'image/png' })
+ * form.appendFile('photo', tempFilePath)
+ * axios.post('/upload', form)
+ */
+function FormData() {
+  this.boundary = '----WeappAxiosFormBoundary' + Math.random().toString(36).slice(2) + Date.now().toString(36)
+  this.fields = []
+}
+
+/**
+ * 添加字段
+ *
+ * @param {String} key 字段名
+ * @param {String|Number|ArrayBuffer|ArrayBufferView} value 字段值，二进制数据作为文件发送
+ * @param {Object|String} options 文件名，或 { filename, contentType }
+ */
+FormData.prototype.append = function append(key, value, options) {
+  options = utils.isString(options) ? { filename: options } : (options || {})
+
+  const isBinary = value instanceof ArrayBuffer || ArrayBuffer.isView(value)
+  this.fields.push({
+    key: key + '',
+    value: isBinary ? helpers.toUint8Array(value) : (value === undefined || value === null ? '' : value + ''),
+    filename: isBinary ? (options.filename || 'blob') : options.filename,
+    contentType: isBinary ? (options.contentType || getMimeType(options.filename)) : options.contentType
+  })
+  return this
+}
+
+/**
+ * 添加本地文件，发送请求前通过 FileSystemManager 读取
+ *
+ * @param {String} key 字段名
+ * @param {String} filePath 文件路径
+ * @param {Object|String} options 文件名，或 { filename, contentType }，默认使用文件路径中的文件名
+ */
+FormData.prototype.appendFile = function appendFile(key, filePath, options) {
+  options = utils.isString(options) ? { filename: options } : (options || {})
+
+  const filename = options.filename || (filePath + '').split('/').pop()
+  this.fields.push({
+    key: key + '',
+    value: null,
+    filePath,
+    filename,
+    contentType: options.contentType || getMimeType(filename)
+  })
+  return this
+}
+
+// 删除字段
+FormData.prototype.delete = function deleteEntry(key) {
+  this.fields = this.fields.filter(entry => entry.key !== key + '')
+}
+
+// 替换字段
+FormData.prototype.set = function set(key, value, options) {
+  this.delete(key)
+  return this.append(key, value, options)
+}
+
+// 是否包含字段
+FormData.prototype.has = function has(key) {
+  return this.fields.some(entry => entry.key === key + '')
+}
+
+// 获取字段值
+FormData.prototype.get = function get(key) {
+  const entry = this.fields.find(entry => entry.key === key + '')
+  return entry ? entry.value : null
+}
+
+// 文件是否都已读取
+FormData.prototype.isReady = function isReady() {
+  return this.fields.every(entry => entry.value !== null)
+}
+
+/**
+ * 读取所有未读取的文件
+ *
+ * @returns {Promise}
+ */
+FormData.prototype.ready = function ready() {
+  return Promise.all(this.fields.map(function readEntry(entry) {
+    if (entry.value !== null) {
+      return undefined
+    }
+    return getFileSize(entry.filePath).then(function readFile(size) {
+      return readFileRange(entry.filePath, 0, size)
+    }).then(function setEntryValue(data) {
+      entry.value = helpers.toUint8Array(data)
+    })
+  })).then(() => this)
+}
+
+// 请求头
+FormData.prototype.getHeaders = function getHeaders() {
+  return { 'content-type': 'multipart/form-data; boundary=' + this.boundary }
+}
+
+/**
+ * 序列化为 multipart/form-data 请求体
+ * 需要先调用 ready 读取文件
+ *
+ * @returns {ArrayBuffer}
+ */
+FormData.prototype.toArrayBuffer = function toArrayBuffer() {
+  if (!this.isReady()) {
+    throw Error(`[${name}] FormData 中的文件尚未读取，请先调用 ready！`)
+  }
+
+  const boundary = this.boundary
+  const chunks = []
+  let length = 0
+
+  function escapeName(value) {
+    return (value + '').replace(/\r/g, '%0D').replace(/\n/g, '%0A').replace(/"/g, '%22')
+  }
+
+  function push(value) {
+    const bytes = utils.isString(value) ? helpers.encodeUTF8(value) : value
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  utils.each(this.fields, function serializeEntry(entry) {
+    let head = '--' + boundary + '\r\nContent-Disposition: form-data; name="' + escapeName(entry.key) + '"'
+    if (entry.filename !== undefined) {
+      head += '; filename="' + escapeName(entry.filename) + '"'
+    }
+    if (entry.contentType) {
+      head += '\r\nContent-Type: ' + entry.contentType
+    }
+    push(head + '\r\n\r\n')
+    push(entry.value)
+    push('\r\n')
+  })
+  push('--' + boundary + '--\r\n')
+
+  const body = new Uint8Array(length)
+  let offset = 0
+  utils.each(chunks, function writeChunk(chunk) {
+    body.set(chunk, offset)
+    offset += chunk.length
+  })
+  return body.buffer
+}
+
+
+/** 数据转换 */
+
+/**
+ * 读取请求头，不区分大小写
+ *
+ * @param {Object} header 请求头
+ * @param {String} key 键名
+ * @returns {String} 请求头的值
+ */
+function getHeaderValue(header, key) {
+  let value
+  key = key.toLowerCase()
+  utils.each(Object.keys(header || {}), function findHeader(headerKey) {
+    if (headerKey.toLowerCase() === key) {
+      value = header[headerKey]
+      return false
+    }
+  })
+  return value
+}
+
+/**
+ * 设置请求头，删除大小写不同的同名请求头
+ *
+ * @param {Object} header 请求头
+ * @param {String} key 键名
+ * @param {String} value 值
+ */
+function setHeaderValue(header, key, value) {
+  utils.each(Object.keys(header), function deleteHeader(headerKey) {
+    if (headerKey.toLowerCase() === key.toLowerCase()) {
+      delete header[headerKey]
+    }
+  })
+  header[key] = value
+}
+
+/**
+ * 默认的请求数据转换，FormData 序列化为 multipart/form-data 请求体
+ *
+ * @param {*} data 请求数据
+ * @param {Object} header 请求头
+ * @returns {*} 转换后的请求数据
+ */
+function transformRequestFormData(data, header) {
+  if (!(data instanceof FormData)) {
+    return data
+  }
+  setHeaderValue(header, 'content-type', data.getHeaders()['content-type'])
+  return data.toArrayBuffer()
+}
+
+/**
+ * 默认的请求数据转换，content-type 为 application/x-www-form-urlencoded 时编码对象
+ *
+ * @param {*} data 请求数据
+ * @param {Object} header 请求头
+ * @param {Object} config 配置对象
+ * @returns {*} 转换后的请求数据
+ */
+function transformRequestURLEncoded(data, header, config) {
+  const method = (config.method || DEFAULT_METHOD).toUpperCase()
+  if (method === 'GET' || method === 'HEAD' || !utils.isPlainObject(data)) {
+    return data
+  }
+  const contentType = getHeaderValue(header, 'content-type')
+  if (!contentType || contentType.indexOf('application/x-www-form-urlencoded') === -1) {
+    return data
+  }
+  return helpers.serializeParams(data, utils.isPlainObject(config.paramsSerializer) ? config.paramsSerializer : undefined)
+}
+
+/**
+ * 默认的请求数据转换，content-type 为 JSON 时序列化对象
+ * GET、HEAD 请求的对象数据由 wx.request 转换为查询参数，不做处理
+ *
+ * @param {*} data 请求数据
+ * @param {Object} header 请求头
+ * @param {Object} config 配置对象
+ * @returns {*} 转换后的请求数据
+ */
+function transformRequestJSON(data, header, config) {
+  const method = (config.method || DEFAULT_METHOD).toUpperCase()
+  if (method === 'GET' || method === 'HEAD') {
+    return data
+  }
+  if (!utils.isPlainObject(data) && !Array.isArray(data)) {
+    return data
+  }
+  const contentType = getHeaderValue(header, 'content-type')
+  if (contentType && contentType.indexOf('application/json') === -1) {
+    return data
+  }
+  return JSON.stringify(data)
+}
+
+/**
+ * 默认的响应数据转换，开启 forcedJSONParsing 时解析 JSON 字符串
+ * 解析失败时抛出 SyntaxError，由 sendAttempts 转换为 ERR_PARSE 错误
+ *
+ * @param {*} data 响应数据
+ * @param {AxiosHeaders} headers 响应头
+ * @param {Object} config 配置对象
+ * @returns {*} 转换后的响应数据
+ */
+function transformResponseJSON(data, headers, config) {
+  if (config.forcedJSONParsing && utils.isString(data)) {
+    return JSON.parse(data)
+  }
+  return data
+}
+
+// 内置的数据转换函数，wx.uploadFile\wx.downloadFile 默认只执行内置的数据转换
+const builtinTransforms = [transformRequestFormData, transformRequestURLEncoded, transformRequestJSON, transformResponseJSON]
+
+/**
+ * 依次执行数据转换函数
+ *
+ * @param {Object} config 配置对象
+ * @param {Function|Array} transforms 数据转换函数
+ * @param {*} data 数据
+ * @param {Object} headers 请求头或响应头
+ * @returns {*} 转换后的数据
+ */
+function transformData(config, transforms, data, headers) {
+  transforms = utils.isFunction(transforms) ? [transforms] : (transforms || [])
+
+  // wx.uploadFile\wx.downloadFile 的请求体为文件，需要 transformFiles 开启后才会执行自定义的数据转换
+  const isFileAdapter = config.adapterName === 'wx.uploadFile' || config.adapterName === 'wx.downloadFile'
+  if (isFileAdapter && !config.transformFiles) {
+    transforms = transforms.filter(fn => builtinTransforms.indexOf(fn) !== -1)
+  }
+
+  utils.each(transforms, function callTransform(fn) {
+    if (utils.isFunction(fn)) {
+      data = fn(data, headers, config)
+    }
+  })
+  return data
+}
+
+
+/** 默认配置 */
+
+const defaults = {
+  // 使用单例模式进行实例化
+  // 在单例模式下，类仅有一个实例，实例化时传入的参数也只会在第一次生效
+  useSingleton: true,
+
+  // 配置适配器，兼容 wx.reqeust\wx.uploadFile\wx.downloadFile 请求
+  adapter: getDefaultAdapter,
+
+  // 超时时间
+  timeout: 0,
+
+  // 设置请求的 header
+  header: {
+    common: DEFAULT_HEADER
+  },
+
+  // 响应数据强制转化为json格式
+  forcedJSONParsing: true,
+
+  // 请求数据转换函数，依次执行，参数为 (data, header, config)
+  transformRequest: [transformRequestFormData, transformRequestURLEncoded, transformRequestJSON],
+
+  // 响应数据转换函数，依次执行，参数为 (data, headers, config)
+  transformResponse: [transformResponseJSON],
+
+  // 本地打印，未设置时非 release 环境开启
+  openLocalPrinter: undefined,
+  printManager: new PrintManager('log'),
+
+  // 本地日志，未设置时非 release 环境开启
+  openLocalLogger: undefined,
+  logManager: new LogManager(),
+
+  // 响应结果额外保留 wx 接口返回的原始字段（statusCode、header 等），便于旧代码迁移
+  legacyResponse: false,
+
+  // 定义对于给定的HTTP 响应状态码是 resolve 或 reject  promise
+  validateStatus: function validateStatus(status) {
+    return status >= 200 && status < 300
+  }
+}
+
+// 根据请求方法设置默认header
+utils.each(methods, function setMethodHeader(method){
+  defaults.header[method] = DEFAULT_HEADER
+})
+
+
+/** 响应结果 */
+
+/**
+ * 响应头，键名统一转为小写，可以通过 get 方法不区分大小写地读取
+ *
+ * @param {Object} header wx 接口返回的 header
+ *
+ * @example
+ *
+ * headers['content-type']
+ * headers.get('Content-Type')
+ */
+function AxiosHeaders(header) {
+  const headers = this
+  utils.each(header || {}, function setHeader(value, key) {
+    headers[(key + '').toLowerCase()] = value
+  })
+}
+
+/**
+ * 读取响应头
+ *
+ * @param {String} key 键名，不区分大小写
+ * @returns {*} value
+ */
+AxiosHeaders.prototype.get = function get(key) {
+  return objProto.hasOwnProperty.call(this, (key + '').toLowerCase())
+          ? this[(key + '').toLowerCase()]
+          : undefined
+}
+
+/**
+ * 判断响应头是否存在
+ *
+ * @param {String} key 键名，不区分大小写
+ * @returns {Boolean} true or false
+ */
+AxiosHeaders.prototype.has = function has(key) {
+  return objProto.hasOwnProperty.call(this, (key + '').toLowerCase())
+}
+
+/**
+ * 转为普通对象
+ *
+ * @returns {Object}
+ */
+AxiosHeaders.prototype.toJSON = function toJSON() {
+  return utils.merge(this)
+}
+
+/**
+ * 构建统一结构的响应结果
+ * wx.request\wx.uploadFile\wx.downloadFile\wx.connectSocket 的响应结果都会转换为该结构
+ *
+ * @param {Object} rawResponse 适配器返回的原始响应结果
+ * @param {Object} config 配置对象
+ * @returns {Object} { data, status, statusText, headers, config, request, ... }
+ */
+function buildResponse(rawResponse, config) {
+  rawResponse = rawResponse || {}
+
+  const status = rawResponse.statusCode
+  const response = {
+    data: rawResponse.data,
+    status: status,
+    statusText: STATUS_TEXT[status] || '',
+    headers: new AxiosHeaders(rawResponse.header),
+    config: config,
+    request: config.requestTask,
+    errMsg: rawResponse.errMsg,
+    // 在调度队列中等待的毫秒数
+    queueTime: config.queueTime || 0
+  }
+
+  // 适配器特有的响应字段
+  // cookies\profile 属于 wx.request 响应结果
+  // tempFilePath\filePath 属于 wx.downloadFile 响应结果
+  utils.each(['cookies', 'profile', 'tempFilePath', 'filePath'], function setExtraField(key) {
+    if (rawResponse[key] !== undefined) {
+      response[key] = rawResponse[key]
+    }
+  })
+
+  // 兼容直接读取 statusCode\header 等原始字段的代码
+  return config.legacyResponse
+          ? Object.assign({}, rawResponse, response)
+          : response
+}
+
+
+/** 本地打印、日志缓存 */
+
+/**
+ * 打印管理
+ */
+function PrintManager(level) {
+  this.name = name
+  this.level = level || 'log'
+  // 使用运行平台提供的 console
+  this.print = function print() {
+    const platformConsole = getPlatform().console || root.console
+    platformConsole[level || 'log'].apply(platformConsole, arguments)
+  }
+}
+
+PrintManager.prototype.header = function head(color='#67c23a') {
+  this.print(`%c[${this.name}]↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓`, `color: ${color}`)
+}
+
+PrintManager.prototype.footer = function head(color='#67c23a') {
+  this.print('%c↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑', `color: ${color}`)
+}
+
+PrintManager.prototype.time = function time() {
+  return new Date().toLocaleDateString() + ' ' + new Date().toLocaleTimeString()
+}
+
+// 打印请求
+PrintManager.prototype.printRequest = function printRequest(config, response) {
+  if (!config) {
+    return undefined
+  }
+
+  const { print } = this
+  this.header()
+  if (response && response.status && !config.validateStatus(response.status)) {
+    print(`%cstatus：${response.status}`, 'color: #fa5151;font-size:21px;')
+  }
+  print('=> 请求路径：', config.url || config.baseURL)
+  if (config.urlTemplate) {
+    print('=> 路径模板：', config.urlTemplate)
+  }
+  if (config.method) {
+    print('=> 请求方式：', config.method)
+  }
+  if (config.attempt > 1 || getRetryConfig(config).retries > 0) {
+    print('=> 请求次数：', config.attempt || 1)
+  }
+  print('=> 配置参数：', config || {})
+  if (Object.keys(config.data).length > 0) {
+    print('=> 请求参数：', config.data || {})
+  }
+  print('=> 响应结果：', response || {})
+  print('=> 打印时间：', this.time())
+  this.footer()
+}
+
+// 打印请求任务
+PrintManager.prototype.printTask = function printTask(config, key, response) {
+  if (!config || !key) {
+    return undefined
+  }
+
+  const { print } = this
+  this.header('#e6a23c')
+  print('=> 监听事件：', key)
+  print('=> 请求路径：', config.url || config.baseURL)
+  print('=> 配置参数：', config || {})
+  if (Object.keys(config.data).length > 0) {
+    print('=> 请求参数：', config.data || {})
+  }
+  print('=> 回调结果：', response || {})
+  print('=> 打印时间：', this.time())
+  this.footer('#e6a23c')
+}
+
+/**
+ * 日志管理
+ */
+function LogManager() {
+  this.name = name
+}
+
+LogManager.prototype.set = function set(config, response) {
+  if (!config) return undefined
+
+  let logs = this.get() || []
+  if (logs.length > MAX_LOG_DAY - 1) {
+    logs = this.popleft()
+  }
+
+  const finalValue = config.adapterName + ',' + response.status + ',' + config.method + ',' + config.baseURL + (config.urlTemplate || config.url) + ',' + Date.now() + ',' + new Date().toLocaleTimeString() + ',' + (config.attempt || 1)
+
+  const date = (new Date().toLocaleDateString()).replace(reNotNumber, '')
+  let index = -1
+  utils.each(logs, function handleLog(log, idx) {
+    if (log.date === date) {
+      index = idx
+      return false
+    }
+  })
+  if (index !== -1) {
+    logs[index].logs.push(finalValue)
+    if (logs[index].logs.length > MAX_LOG_COUNTS) {
+      logs[index].logs.shift()
+    }
+  } else {
+    logs.push({
+      date: date,
+      logs: [finalValue],
+    })
+  }
+
+  try {
+    getPlatform().storage.setItem(this.name, logs)
+  } catch (e) {
+    if (length > 1) {
+      logs.slice(0, -1)
+      try {
+        getPlatform().storage.setItem(this.name, logs)
+      } catch (e) {}
+    }
+  }
+}
+
+LogManager.prototype.get = function get() {
+  try {
+    const value = getPlatform().storage.getItem(this.name)
+    return value
+  } catch (e) {}
+}
+
+// 弹出第一条记录
+LogManager.prototype.popleft = function popleft() {
+  const logs = this.get()
+  let result = []
+
+  if (Array.isArray(logs) && logs.length) {
+    [, ...result] = logs
+  }
+
+  return result
+}
+
+
+/** 请求调度 */
+
+/**
+ * 请求调度器
+ * 位于 dispatchRequest 与适配器之间，按接口限制并发数，超出的请求按优先级排队
+ * 同一优先级内先进先出
+ *
+ * @param {Object} limits 各接口的最大并发数 { 'wx.request': 10 }
+ */
+function RequestScheduler(limits) {
+  this.limits = utils.merge(DEFAULT_CONCURRENCY, limits || {})
+  this.queues = {}
+  this.running = {}
+  this.started = {}
+  this.totalQueueTime = {}
+  this.maxQueueTime = {}
+}
+
+/**
+ * 设置接口的最大并发数
+ *
+ * @param {String} adapterName 接口名称，如 wx.request
+ * @param {Number} limit 最大并发数
+ */
+RequestScheduler.prototype.setConcurrency = function setConcurrency(adapterName, limit) {
+  this.limits[adapterName] = limit > 0 ? limit : Infinity
+  this.next(adapterName)
+}
+
+/**
+ * 获取接口的等待队列
+ *
+ * @param {String} adapterName 接口名称
+ * @returns {Object} { high: [], normal: [], low: [] }
+ */
+RequestScheduler.prototype.getQueue = function getQueue(adapterName) {
+  if (!this.queues[adapterName]) {
+    const queue = {}
+    utils.each(PRIORITIES, function createQueue(priority) {
+      queue[priority] = []
+    })
+    this.queues[adapterName] = queue
+  }
+  return this.queues[adapterName]
+}
+
+/**
+ * 将请求放入调度队列
+ *
+ * @param {String} adapterName 接口名称
+ * @param {Object} config 配置对象，读取 priority、cancelToken、signal，并记录 queueTime
+ * @param {Function} task 发起请求的函数，返回 Promise
+ * @returns {Promise}
+ */
+RequestScheduler.prototype.schedule = function schedule(adapterName, config, task) {
+  const scheduler = this
+  const priority = PRIORITIES.includes(config.priority) ? config.priority : DEFAULT_PRIORITY
+  const queue = this.getQueue(adapterName)[priority]
+
+  return new Promise(function scheduleTask(resolve, reject) {
+    const item = {
+      task,
+      config,
+      resolve,
+      reject,
+      enqueuedAt: Date.now(),
+      unsubscribeCancel: noop
+    }
+
+    // 排队期间取消请求，直接移出队列
+    item.unsubscribeCancel = subscribeCancel(config, function onCancel(reason) {
+      const index = queue.indexOf(item)
+      if (index !== -1) {
+        queue.splice(index, 1)
+        reject(new CanceledError(reason.message, config))
+      }
+    })
+
+    queue.push(item)
+    scheduler.next(adapterName)
+  })
+}
+
+/**
+ * 在并发数允许的情况下按优先级执行队列中的请求
+ *
+ * @param {String} adapterName 接口名称
+ */
+RequestScheduler.prototype.next = function next(adapterName) {
+  const queue = this.getQueue(adapterName)
+  const limit = this.limits[adapterName] || Infinity
+
+  while ((this.running[adapterName] || 0) < limit) {
+    let item
+    utils.each(PRIORITIES, function shiftItem(priority) {
+      if (queue[priority].length) {
+        item = queue[priority].shift()
+        return false
+      }
+    })
+    if (!item) {
+      break
+    }
+    this.run(adapterName, item)
+  }
+}
+
+/**
+ * 执行请求，请求结束后释放并发数
+ *
+ * @param {String} adapterName 接口名称
+ * @param {Object} item 队列中的请求
+ */
+RequestScheduler.prototype.run = function run(adapterName, item) {
+  const scheduler = this
+  const queueTime = Date.now() - item.enqueuedAt
+  let released = false
+
+  item.unsubscribeCancel()
+  item.config.queueTime = queueTime
+  this.running[adapterName] = (this.running[adapterName] || 0) + 1
+  this.started[adapterName] = (this.started[adapterName] || 0) + 1
+  this.totalQueueTime[adapterName] = (this.totalQueueTime[adapterName] || 0) + queueTime
+  this.maxQueueTime[adapterName] = Math.max(this.maxQueueTime[adapterName] || 0, queueTime)
+
+  function release() {
+    if (released) {
+      return undefined
+    }
+    released = true
+    scheduler.running[adapterName]--
+    scheduler.next(adapterName)
+  }
+
+  new Promise(function runTask(resolve) {
+    resolve(item.task())
+  }).then(function onTaskResolve(response) {
+    // wx.connectSocket 连接关闭后才释放并发数
+    const requestTask = item.config.requestTask
+    if (adapterName === 'wx.connectSocket' && requestTask && utils.isFunction(requestTask.onClose)) {
+      requestTask.onClose(release)
+    } else {
+      release()
+    }
+    item.resolve(response)
+  }, function onTaskReject(err) {
+    release()
+    item.reject(err)
+  })
+}
+
+/**
+ * 获取调度状态
+ *
+ * @returns {Object} 各接口的并发数、排队数、平均排队时间
+ *
+ * @example
+ *
+ * axios.scheduler.stats()
+ * // { 'wx.request': { limit: 10, running: 10, queued: 3, queuedByPriority: { high: 1, normal: 2, low: 0 }, started: 20, averageQueueTime: 12, maxQueueTime: 80 } }
+ */
+RequestScheduler.prototype.stats = function stats() {
+  const scheduler = this
+  const result = {}
+  const adapterNames = Object.keys(utils.merge(this.limits, this.queues))
+
+  utils.each(adapterNames, function statAdapter(adapterName) {
+    const queue = scheduler.getQueue(adapterName)
+    const started = scheduler.started[adapterName] || 0
+    const queuedByPriority = {}
+    let queued = 0
+    utils.each(PRIORITIES, function countQueue(priority) {
+      queuedByPriority[priority] = queue[priority].length
+      queued += queue[priority].length
+    })
+    result[adapterName] = {
+      limit: scheduler.limits[adapterName] || Infinity,
+      running: scheduler.running[adapterName] || 0,
+      queued,
+      queuedByPriority,
+      started,
+      averageQueueTime: started ? Math.round(scheduler.totalQueueTime[adapterName] / started) : 0,
+      maxQueueTime: scheduler.maxQueueTime[adapterName] || 0
+    }
+  })
+
+  return result
+}
+
+// 所有 Axios 实例共用同一个调度器，与小程序接口的并发限制保持一致
+const scheduler = new RequestScheduler()
+
+
+/** 请求去重 */
+
+// 进行中的请求，键为请求的去重标识
+const inflightRequests = Object.create(null)
+
+// 函数的编号，用于比较调用方的 validateStatus\transformResponse\retry 是否为同一个函数
+const functionIds = new WeakMap()
+let functionIdCounter = 0
+
+/**
+ * 判断请求是否需要去重
+ * 默认对 GET、HEAD 请求去重，wx.connectSocket 不参与去重
+ * 设置了 task 的请求需要监听自身的请求任务，不参与去重
+ *
+ * @param {Object} config 配置对象
+ * @returns {Boolean} true or false
+ */
+function isDedupeEnabled(config) {
+  if (config.adapterName === 'wx.connectSocket' || config.dedupe === false || config.task) {
+    return false
+  }
+  return config.dedupe === true || ['GET', 'HEAD'].includes(config.method)
+}
+
+/**
+ * 生成请求的去重标识
+ * 可通过 dedupeKey(config) 自定义
+ *
+ * @param {Object} config 配置对象
+ * @returns {String} 去重标识
+ */
+function getDedupeKey(config) {
+  const key = utils.isFunction(config.dedupeKey)
+                ? config.dedupeKey(config) + ''
+                : getRequestKey(config)
+  // 重试、响应转换、状态码校验在共用的请求中执行，处理方式不同的请求不能共用
+  return key + '|' + stringifyHandling([config.validateStatus, config.transformResponse, config.retry, config.forcedJSONParsing])
+}
+
+/**
+ * 生成请求的唯一标识
+ * 由接口、请求方法、完整地址、请求参数、header 组成
+ *
+ * @param {Object} config 配置对象
+ * @returns {String} 请求标识
+ */
+function getRequestKey(config) {
+  // 使用拷贝的配置对象，setFullPathURL 会修改 url
+  const keyConfig = Object.assign({}, config, { header: Object.assign({}, config.header) })
+  return [
+    config.adapterName,
+    config.method,
+    setFullPathURL(keyConfig),
+    helpers.stableStringify(config.params),
+    helpers.stableStringify(config.data),
+    helpers.stableStringify(setAuthorizationHeader(keyConfig)),
+    config.responseType || '',
+    config.dataType || '',
+    config.filePath || ''
+  ].join('|')
+}
+
+/**
+ * 序列化请求的处理方式，函数使用编号表示
+ *
+ * @param {*} value
+ * @returns {String}
+ */
+function stringifyHandling(value) {
+  if (utils.isFunction(value)) {
+    if (!functionIds.has(value)) {
+      functionIds.set(value, ++functionIdCounter)
+    }
+    return '#' + functionIds.get(value)
+  }
+  if (value instanceof RegExp) {
+    return value + ''
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(stringifyHandling).join(',') + ']'
+  }
+  if (utils.isPlainObject(value)) {
+    return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + stringifyHandling(value[key])).join(',') + '}'
+  }
+  return value === undefined ? '' : JSON.stringify(value)
+}
+
+/**
+ * 请求去重
+ * 去重标识相同的请求共用同一个进行中的请求，每个调用方得到独立拷贝的响应结果
+ * 调用方取消请求时只会结束自身的 Promise，所有调用方都取消后才会中断底层的请求任务
+ *
+ * @param {Object} config 配置对象
+ * @param {Function} send 发起请求的函数，接收配置对象，返回 Promise
+ * @returns {Promise}
+ */
+function dedupeRequest(config, send) {
+  if (!isDedupeEnabled(config)) {
+    return send(config)
+  }
+
+  const key = getDedupeKey(config)
+  let entry = inflightRequests[key]
+
+  if (!entry) {
+    // 底层请求使用独立的取消令牌，由所有调用方共同决定是否中断
+    const source = CancelToken.source()
+    const sharedConfig = Object.assign({}, config, { cancelToken: source.token, signal: undefined })
+    entry = {
+      source,
+      subscribers: 0,
+      promise: null
+    }
+    inflightRequests[key] = entry
+    entry.promise = send(sharedConfig)
+    entry.promise.then(removeEntry, removeEntry)
+  }
+
+  function removeEntry() {
+    if (inflightRequests[key] === entry) {
+      delete inflightRequests[key]
+    }
+  }
+
+  entry.subscribers++
+
+  return new Promise(function subscribeRequest(resolve, reject) {
+    let settled = false
+
+    const unsubscribeCancel = subscribeCancel(config, function onCancel(reason) {
+      if (settled) {
+        return undefined
+      }
+      settled = true
+      reject(new CanceledError(reason.message, config))
+      // 最后一个调用方取消时中断底层请求
+      if (--entry.subscribers === 0) {
+        removeEntry()
+        entry.source.cancel(reason.message)
+      }
+    })
+
+    entry.promise.then(function onSharedResolve(response) {
+      unsubscribeCancel()
+      if (!settled) {
+        settled = true
+        resolve(cloneResponse(response, config))
+      }
+    }, function onSharedReject(err) {
+      unsubscribeCancel()
+      if (!settled) {
+        settled = true
+        reject(cloneError(err, config))
+      }
+    })
+  })
+}
+
+/**
+ * 拷贝响应结果，响应数据深拷贝，避免调用方之间相互影响
+ *
+ * @param {Object} response 响应结果
+ * @param {Object} config 调用方的配置对象
+ * @returns {Object} 新的响应结果
+ */
+function cloneResponse(response, config) {
+  if (!response) {
+    return response
+  }
+  return Object.assign({}, response, {
+    data: utils.cloneDeep(response.data),
+    headers: new AxiosHeaders(response.headers),
+    config: config
+  })
+}
+
+/**
+ * 拷贝错误对象
+ *
+ * @param {*} err 错误对象
+ * @param {Object} config 调用方的配置对象
+ * @returns {*} 新的错误对象
+ */
+function cloneError(err, config) {
+  if (!isAxiosError(err)) {
+    return err
+  }
+  const error = Object.assign(Object.create(Object.getPrototypeOf(err)), err)
+  error.config = config
+  if (err.response) {
+    error.response = cloneResponse(err.response, config)
+  }
+  return error
+}
+
+
+/** 响应缓存 */
+
+/**
+ * 内存缓存，按最近使用时间淘汰
+ */
+function MemoryCacheStore() {
+  this.entries = new Map()
+  this.bytes = 0
+}
+
+MemoryCacheStore.prototype.get = function get(key) {
+  const entry = this.entries.get(key)
+  if (entry) {
+    // 重新插入，保持最近使用的记录在末尾
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+  }
+  return entry
+}
+
+MemoryCacheStore.prototype.set = function set(key, entry, options) {
+  this.delete(key)
+  this.entries.set(key, entry)
+  this.bytes += entry.size
+
+  // 超出数量或体积限制时淘汰最久未使用的记录
+  while (this.entries.size > 1 && (this.entries.size > options.maxEntries || this.bytes > options.maxBytes)) {
+    this.delete(this.entries.keys().next().value)
+  }
+}
+
+MemoryCacheStore.prototype.delete = function remove(key) {
+  const entry = this.entries.get(key)
+  if (entry) {
+    this.bytes -= entry.size
+    this.entries.delete(key)
+  }
+}
+
+MemoryCacheStore.prototype.keys = function keys() {
+  return Array.from(this.entries.keys())
+}
+
+/**
+ * 本地存储缓存，数据持久化到 wx.setStorage，按最近使用时间淘汰
+ * 缓存索引单独存储，记录每条缓存的体积以及最近使用时间
+ */
+function StorageCacheStore() {
+  this.name = name + ':cache'
+}
+
+StorageCacheStore.prototype.getIndex = function getIndex() {
+  try {
+    const index = getPlatform().storage.getItem(this.name)
+    return Array.isArray(index) ? index : []
+  } catch (e) {
+    return []
+  }
+}
+
+StorageCacheStore.prototype.setIndex = function setIndex(index) {
+  try {
+    getPlatform().storage.setItem(this.name, index)
+  } catch (e) {}
+}
+
+StorageCacheStore.prototype.get = function get(key) {
+  let entry
+  try {
+    entry = getPlatform().storage.getItem(this.name + ':' + key)
+  } catch (e) {}
+  if (!entry) {
+    return undefined
+  }
+
+  const index = this.getIndex()
+  utils.each(index, function touchItem(item) {
+    if (item.key === key) {
+      item.accessedAt = Date.now()
+      return false
+    }
+  })
+  this.setIndex(index)
+  return entry
+}
+
+StorageCacheStore.prototype.set = function set(key, entry, options) {
+  const store = this
+  let index = this.getIndex().filter(function filterItem(item) {
+    return item.key !== key
+  })
+  index.sort(function sortByAccessedAt(a, b) {
+    return a.accessedAt - b.accessedAt
+  })
+
+  function getBytes() {
+    return index.reduce(function sumSize(total, item) {
+      return total + item.size
+    }, 0)
+  }
+
+  // 本地存储剩余空间不足时同样需要淘汰
+  function isStorageFull() {
+    try {
+      const info = getPlatform().storage.getInfo()
+      return (info.currentSize * 1024) + entry.size > info.limitSize * 1024
+    } catch (e) {
+      return false
+    }
+  }
+
+  while (index.length && (index.length + 1 > options.maxEntries || getBytes() + entry.size > options.maxBytes || isStorageFull())) {
+    store.removeItem(index.shift().key)
+  }
+
+  try {
+    getPlatform().storage.setItem(this.name + ':' + key, entry)
+    index.push({ key, size: entry.size, accessedAt: Date.now() })
+  } catch (e) {}
+  this.setIndex(index)
+}
+
+StorageCacheStore.prototype.removeItem = function removeItem(key) {
+  try {
+    getPlatform().storage.removeItem(this.name + ':' + key)
+  } catch (e) {}
+}
+
+StorageCacheStore.prototype.delete = function remove(key) {
+  this.removeItem(key)
+  this.setIndex(this.getIndex().filter(function filterItem(item) {
+    return item.key !== key
+  }))
+}
+
+StorageCacheStore.prototype.keys = function keys() {
+  return this.getIndex().map(function getKey(item) {
+    return item.key
+  })
+}
+
+/**
+ * 响应缓存管理
+ */
+function ResponseCache() {
+  this.stores = {
+    memory: new MemoryCacheStore(),
+    storage: new StorageCacheStore()
+  }
+}
+
+/**
+ * 获取缓存配置
+ * cache 可以传入 true，也可以传入配置对象
+ *
+ * @param {Object} config 配置对象
+ * @returns {Object|null} 缓存配置，未开启缓存时为 null
+ */
+ResponseCache.prototype.getOptions = function getOptions(config) {
+  // 只缓存 wx.request 的 GET 请求
+  if (!config.cache || config.method !== 'GET' || config.adapterName !== 'wx.request') {
+    return null
+  }
+  return utils.merge(DEFAULT_CACHE, utils.isPlainObject(config.cache) ? config.cache : {})
+}
+
+/**
+ * 删除匹配的缓存
+ *
+ * @param {String|RegExp|Function} pattern 字符串匹配包含该字符串的缓存，不传则删除所有缓存
+ *
+ * @example
+ *
+ * axios.cache.invalidate('/city/list')
+ * axios.cache.invalidate(/\/config\//)
+ * axios.cache.invalidate(key => key.includes('/config/'))
+ */
+ResponseCache.prototype.invalidate = function invalidate(pattern) {
+  function isMatch(key) {
+    if (pattern === undefined || pattern === null) {
+      return true
+    }
+    if (utils.isFunction(pattern)) {
+      return !!pattern(key)
+    }
+    if (pattern instanceof RegExp) {
+      return pattern.test(key)
+    }
+    return key.includes(pattern + '')
+  }
+
+  utils.each(this.stores, function invalidateStore(store) {
+    utils.each(store.keys(), function invalidateKey(key) {
+      if (isMatch(key)) {
+        store.delete(key)
+      }
+    })
+  })
+}
+
+/**
+ * 删除所有缓存
+ */
+ResponseCache.prototype.clear = function clear() {
+  this.invalidate()
+}
+
+/**
+ * 读取缓存或发起请求
+ * 缓存未过期时直接返回缓存，过期但在 staleWhileRevalidate 时间内时返回缓存并在后台重新请求
+ * 网络错误时返回已过期的缓存
+ *
+ * @param {Object} config 配置对象
+ * @param {Function} fetch 发起请求的函数，接收配置对象，返回 Promise
+ * @returns {Promise}
+ */
+ResponseCache.prototype.request = function request(config, fetch) {
+  const options = this.getOptions(config)
+  if (!options) {
+    return fetch(config)
+  }
+
+  const store = this.stores[options.storage] || this.stores.memory
+  const key = utils.isFunction(options.cacheKey) ? options.cacheKey(config) + '' : getCacheKey(config, options)
+  const entry = store.get(key)
+  const now = Date.now()
+
+  function fetchAndStore(fetchConfig) {
+    return fetch(fetchConfig).then(function onFetchResolve(response) {
+      const cacheEntry = createCacheEntry(response, options)
+      if (cacheEntry && !(options.storage === 'storage' && response.data instanceof ArrayBuffer)) {
+        store.set(key, cacheEntry, options)
+      }
+      return response
+    })
+  }
+
+  if (entry && now < entry.expiresAt) {
+    return Promise.resolve(restoreCacheEntry(entry, config, false))
+  }
+
+  if (entry && now < entry.expiresAt + options.staleWhileRevalidate) {
+    // 后台重新请求不受调用方取消请求的影响
+    fetchAndStore(Object.assign({}, config, { cancelToken: undefined, signal: undefined })).catch(noop)
+    return Promise.resolve(restoreCacheEntry(entry, config, true))
+  }
+
+  return fetchAndStore(config).catch(function onFetchReject(err) {
+    const isNetworkError = err && [AxiosError.ERR_NETWORK, AxiosError.ERR_TIMEOUT].includes(err.code)
+    if (entry && isNetworkError) {
+      return restoreCacheEntry(entry, config, true)
+    }
+    return Promise.reject(err)
+  })
+}
+
+/**
+ * 生成缓存标识
+ * 缓存标识会作为本地存储的键名，header 中可能包含 token，只保存摘要或使用 partition 分区
+ *
+ * @param {Object} config 配置对象
+ * @param {Object} options 缓存配置
+ * @returns {String} 缓存标识
+ */
+function getCacheKey(config, options) {
+  // 使用拷贝的配置对象，setFullPathURL 会修改 url
+  const keyConfig = Object.assign({}, config, { header: Object.assign({}, config.header) })
+  const partition = utils.isFunction(options.partition)
+                      ? options.partition(config) + ''
+                      : helpers.hashString(helpers.stableStringify(setAuthorizationHeader(keyConfig)))
+  return [
+    config.adapterName,
+    config.method,
+    setFullPathURL(keyConfig),
+    helpers.stableStringify(config.params),
+    helpers.stableStringify(config.data),
+    config.responseType || '',
+    config.dataType || '',
+    partition
+  ].join('|')
+}
+
+/**
+ * 创建缓存记录
+ *
+ * @param {Object} response 响应结果
+ * @param {Object} options 缓存配置
+ * @returns {Object} 缓存记录
+ */
+function createCacheEntry(response, options) {
+  const cached = {
+    data: utils.cloneDeep(response.data),
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers.toJSON(),
+    errMsg: response.errMsg
+  }
+  let size = 0
+  try {
+    size = JSON.stringify(cached).length
+  } catch (e) {
+    return null
+  }
+  return {
+    response: cached,
+    size: response.data instanceof ArrayBuffer ? size + response.data.byteLength : size,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + options.ttl
+  }
+}
+
+/**
+ * 将缓存记录还原为响应结果
+ *
+ * @param {Object} entry 缓存记录
+ * @param {Object} config 配置对象
+ * @param {Boolean} stale 缓存是否已过期
+ * @returns {Object} 响应结果
+ */
+function restoreCacheEntry(entry, config, stale) {
+  const cached = entry.response
+  const response = {
+    data: utils.cloneDeep(cached.data),
+    status: cached.status,
+    statusText: cached.statusText,
+    headers: new AxiosHeaders(cached.headers),
+    config: config,
+    request: undefined,
+    errMsg: cached.errMsg,
+    queueTime: 0,
+    fromCache: true,
+    stale: stale,
+    cachedAt: entry.createdAt
+  }
+  if (config.legacyResponse) {
+    response.statusCode = cached.status
+    response.header = cached.headers
+  }
+  return response
+}
+
+// 所有 Axios 实例共用同一个缓存
+const responseCache = new ResponseCache()
+
+
+/** 离线队列 */
+
+/**
+ * 离线请求队列
+ * 标记了 offlineQueue 的 POST、PUT、DELETE 请求在断网或网络错误时持久化到本地存储
+ * 网络恢复或小程序切回前台时按顺序重新发送
+ */
+function OfflineQueue() {
+  this.name = name + ':offline'
+  this.options = utils.merge(DEFAULT_OFFLINE_QUEUE)
+  this.networkType = 'unknown'
+  // 已监听的运行平台
+  this.listening = null
+  this.replaying = null
+}
+
+/**
+ * 设置离线队列
+ *
+ * @param {Object} options
+ * @param {Number} options.maxAge 请求在队列中的最长保存时间，超出后不再重新发送
+ * @param {Object} options.instance 重新发送请求使用的 Axios 实例，默认使用 axios
+ * @param {Function} options.onConflict 重新发送失败（非网络错误）时调用 onConflict(error, item)，返回 true 则保留在队列中
+ * @param {Function} options.onReplay 重新发送成功时调用 onReplay(response, item)
+ * @param {Function} options.onExpire 请求过期被丢弃时调用 onExpire(item)
+ */
+OfflineQueue.prototype.configure = function configure(options) {
+  const instance = options && options.instance
+  this.options = utils.merge(this.options, options || {})
+  // Axios 实例不是普通对象，merge 时需要单独处理
+  if (instance) {
+    this.options.instance = instance
+  }
+  this.listen()
+}
+
+/**
+ * 监听网络状态以及小程序切回前台
+ */
+OfflineQueue.prototype.listen = function listen() {
+  const currentPlatform = getPlatform()
+  if (this.listening === currentPlatform) {
+    return undefined
+  }
+  this.listening = currentPlatform
+
+  const queue = this
+
+  if (utils.isFunction(currentPlatform.getNetworkType)) {
+    currentPlatform.getNetworkType({
+      success: function onGetNetworkType(res) {
+        queue.networkType = res.networkType
+        if (!queue.isOffline()) {
+          queue.replay()
+        }
+      }
+    })
+  }
+
+  if (utils.isFunction(currentPlatform.onNetworkStatusChange)) {
+    currentPlatform.onNetworkStatusChange(function onNetworkStatusChange(res) {
+      queue.networkType = res.isConnected ? res.networkType : 'none'
+      if (res.isConnected) {
+        queue.replay()
+      }
+    })
+  }
+
+  if (utils.isFunction(currentPlatform.onAppShow)) {
+    currentPlatform.onAppShow(function onAppShow() {
+      if (!queue.isOffline()) {
+        queue.replay()
+      }
+    })
+  }
+}
+
+/**
+ * 运行平台确定后恢复上次未发送的请求
+ * 小程序冷启动时不会触发 onAppShow，队列不为空时立即检查网络状态并开始监听
+ */
+OfflineQueue.prototype.restore = function restore() {
+  if (this.list().length) {
+    this.listen()
+  }
+}
+
+/**
+ * 当前是否处于断网状态
+ *
+ * @returns {Boolean} true or false
+ */
+OfflineQueue.prototype.isOffline = function isOffline() {
+  return this.networkType === 'none'
+}
+
+/**
+ * 获取队列中的请求
+ *
+ * @returns {Array} [{ id, createdAt, config }]
+ */
+OfflineQueue.prototype.list = function list() {
+  try {
+    const items = getPlatform().storage.getItem(this.name)
+    return Array.isArray(items) ? items : []
+  } catch (e) {
+    return []
+  }
+}
+
+OfflineQueue.prototype.save = function save(items) {
+  try {
+    getPlatform().storage.setItem(this.name, items)
+  } catch (e) {}
+}
+
+/**
+ * 删除队列中的请求
+ *
+ * @param {String} id 请求ID
+ */
+OfflineQueue.prototype.remove = function remove(id) {
+  this.save(this.list().filter(function filterItem(item) {
+    return item.id !== id
+  }))
+}
+
+/**
+ * 清空队列
+ */
+OfflineQueue.prototype.clear = function clear() {
+  this.save([])
+}
+
+/**
+ * 将请求放入队列
+ *
+ * @param {Object} config 配置对象
+ * @returns {Object} 已入队的响应结果
+ */
+OfflineQueue.prototype.enqueue = function enqueue(config) {
+  const item = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+    createdAt: Date.now(),
+    config: {}
+  }
+
+  // 只保存可以序列化的请求参数
+  utils.each(OFFLINE_CONFIG_KEYS, function copyConfig(key) {
+    if (config[key] !== undefined) {
+      item.config[key] = utils.cloneDeep(config[key])
+    }
+  })
+  // 适配器写入的 Authorization 请求头同样不保存
+  utils.each(Object.keys(item.config.header || {}), function deleteAuthorization(key) {
+    if (key.toLowerCase() === 'authorization') {
+      delete item.config.header[key]
+    }
+  })
+
+  const items = this.list()
+  items.push(item)
+  this.save(items)
+
+  return {
+    data: undefined,
+    status: 0,
+    statusText: 'Queued',
+    headers: new AxiosHeaders(),
+    config: config,
+    request: undefined,
+    queued: true,
+    offlineId: item.id
+  }
+}
+
+/**
+ * 发送请求，断网或网络错误时放入队列
+ *
+ * @param {Object} config 配置对象
+ * @param {Function} send 发起请求的函数，接收配置对象，返回 Promise
+ * @returns {Promise}
+ */
+OfflineQueue.prototype.request = function request(config, send) {
+  if (!config.offlineQueue || !['POST', 'PUT', 'DELETE'].includes(config.method)) {
+    return send(config)
+  }
+
+  const queue = this
+  this.listen()
+
+  if (this.isOffline()) {
+    return Promise.resolve(this.enqueue(config))
+  }
+
+  return send(config).catch(function onSendReject(err) {
+    if (err && err.code === AxiosError.ERR_NETWORK) {
+      return queue.enqueue(config)
+    }
+    return Promise.reject(err)
+  })
+}
+
+/**
+ * 按顺序重新发送队列中的请求
+ * 遇到网络错误时停止，剩余请求等待下一次重新发送
+ * 每次重新发送时每个请求最多发送一次，保留在队列中的请求等待下一次重新发送
+ *
+ * @returns {Promise}
+ */
+OfflineQueue.prototype.replay = function replay() {
+  if (this.replaying) {
+    return this.replaying
+  }
+
+  const queue = this
+  const options = this.options
+  const instance = options.instance || axios
+  // 本次已经发送过的请求
+  const attempted = {}
+
+  function replayNext() {
+    const item = queue.list().find(item => !attempted[item.id])
+    if (!item) {
+      return Promise.resolve()
+    }
+    attempted[item.id] = true
+
+    // 超出保存时间的请求直接丢弃
+    if (Date.now() - item.createdAt > options.maxAge) {
+      queue.remove(item.id)
+      if (utils.isFunction(options.onExpire)) {
+        options.onExpire(item)
+      }
+      return replayNext()
+    }
+
+    return instance.request(Object.assign({}, item.config, { offlineQueue: false })).then(function onReplayResolve(response) {
+      queue.remove(item.id)
+      if (utils.isFunction(options.onReplay)) {
+        options.onReplay(response, item)
+      }
+      return replayNext()
+    }, function onReplayReject(err) {
+      if (err && [AxiosError.ERR_NETWORK, AxiosError.ERR_TIMEOUT].includes(err.code)) {
+        return undefined
+      }
+      return Promise.resolve(utils.isFunction(options.onConflict) ? options.onConflict(err, item) : false).then(function onConflictSettle(keep) {
+        // 保留的请求移到队尾，避免阻塞后面的请求
+        queue.remove(item.id)
+        if (keep === true) {
+          queue.save(queue.list().concat(item))
+        }
+        return replayNext()
+      })
+    })
+  }
+
+  this.replaying = replayNext().then(function onReplayFinish() {
+    queue.replaying = null
+  }, function onReplayError(err) {
+    queue.replaying = null
+    return Promise.reject(err)
+  })
+
+  return this.replaying
+}
+
+// 所有 Axios 实例共用同一个离线队列
+const offlineQueue = new OfflineQueue()
+
+
+/** 身份认证 */
+
+/**
+ * 身份认证管理
+ * 请求前写入 token，请求返回认证错误时只刷新一次 token，刷新期间新的请求以及认证失败的请求排队等待
+ * 刷新成功后使用新的 token 重新发送，刷新失败时所有排队的请求一起失败
+ *
+ * @param {Axios} instance Axios 实例
+ * @param {Object} options
+ * @param {Function} options.getToken 获取当前的 token getToken(config)，可以返回 Promise
+ * @param {Function} options.refreshToken 刷新 token，返回 Promise，内部发出的请求需要传入 skipAuth: true
+ * @param {Function} options.isAuthError 判断响应结果是否为认证错误 isAuthError(response)，默认为状态码 401
+ * @param {Number} options.maxRefreshAttempts refreshWindow 时间内最多刷新的次数，避免循环刷新
+ * @param {Number} options.refreshWindow 统计刷新次数的时间范围
+ */
+function AuthManager(instance, options) {
+  if (!options || !utils.isFunction(options.getToken) || !utils.isFunction(options.refreshToken)) {
+    throw Error(`[${name}] useAuth 需要传入 getToken refreshToken 函数！`)
+  }
+
+  this.instance = instance
+  this.options = utils.merge(DEFAULT_AUTH, options)
+  // 每次刷新成功后递增，用于判断请求发出时使用的是否为旧的 token
+  this.version = 0
+  this.refreshing = null
+  this.refreshTimes = []
+
+  const manager = this
+
+  this.requestInterceptorId = instance.interceptors.request.use(function onAuthRequest(config) {
+    return manager.authorize(config)
+  })
+
+  this.responseInterceptorId = instance.interceptors.response.use(function onAuthResponse(response) {
+    if (manager.isAuthError(response)) {
+      return manager.handleAuthError(response.config, response)
+    }
+    return response
+  }, function onAuthResponseError(error) {
+    if (error && error.response && manager.isAuthError(error.response)) {
+      return manager.handleAuthError(error.config, error)
+    }
+    return Promise.reject(error)
+  })
+}
+
+/**
+ * 判断响应结果是否为认证错误
+ *
+ * @param {Object} response 响应结果
+ * @returns {Boolean} true or false
+ */
+AuthManager.prototype.isAuthError = function isAuthError(response) {
+  const config = response.config || {}
+  return !config.skipAuth && !!this.options.isAuthError(response)
+}
+
+/**
+ * 写入 token，正在刷新 token 时等待刷新完成
+ *
+ * @param {Object} config 配置对象
+ * @returns {Promise} config
+ */
+AuthManager.prototype.authorize = function authorize(config) {
+  // 刷新 token 的请求不需要等待
+  if (config.skipAuth) {
+    return config
+  }
+
+  const manager = this
+  return Promise.resolve(this.refreshing).then(function getToken() {
+    config.authVersion = manager.version
+    return manager.options.getToken(config)
+  }).then(function setToken(token) {
+    if (token) {
+      config.token = token
+    }
+    return config
+  })
+}
+
+/**
+ * 刷新 token，同一时间只会刷新一次
+ *
+ * @returns {Promise}
+ */
+AuthManager.prototype.refresh = function refresh() {
+  if (this.refreshing) {
+    return this.refreshing
+  }
+
+  const manager = this
+  const { maxRefreshAttempts, refreshWindow } = this.options
+  const now = Date.now()
+
+  this.refreshTimes = this.refreshTimes.filter(function inWindow(time) {
+    return now - time < refreshWindow
+  })
+  if (this.refreshTimes.length >= maxRefreshAttempts) {
+    return Promise.reject(new AxiosError(`[${name}] token 刷新过于频繁，已停止刷新！`, AxiosError.ERR_BAD_REQUEST))
+  }
+  this.refreshTimes.push(now)
+
+  this.refreshing = new Promise(function callRefreshToken(resolve) {
+    resolve(manager.options.refreshToken())
+  }).then(function onRefreshResolve(result) {
+    manager.version++
+    manager.refreshing = null
+    return result
+  }, function onRefreshReject(err) {
+    manager.refreshing = null
+    return Promise.reject(err)
+  })
+
+  return this.refreshing
+}
+
+/**
+ * 处理认证错误，刷新 token 后重新发送请求
+ *
+ * @param {Object} config 请求的配置对象
+ * @param {Object} reason 认证错误的响应结果或错误对象
+ * @returns {Promise}
+ */
+AuthManager.prototype.handleAuthError = function handleAuthError(config, reason) {
+  // 重新发送后仍然认证失败，不再刷新，避免循环刷新
+  if (!config || config.authRetried) {
+    return isAxiosError(reason) ? Promise.reject(reason) : reason
+  }
+
+  const manager = this
+  const retryConfig = Object.assign({}, config, { authRetried: true })
+
+  // 请求发出后 token 已经刷新过，直接使用新的 token 重新发送
+  const refreshing = config.authVersion < this.version
+                      ? Promise.resolve()
+                      : this.refresh()
+
+  return refreshing.then(function retryRequest() {
+    return manager.instance.request(retryConfig)
+  })
+}
+
+/**
+ * 移除身份认证拦截器
+ */
+AuthManager.prototype.eject = function eject() {
+  this.instance.interceptors.request.eject(this.requestInterceptorId)
+  this.instance.interceptors.response.eject(this.responseInterceptorId)
+}
+
+
+/** 登录态管理 */
+
+/**
+ * 登录态管理
+ * 调用 wx.login 获取 code，通过 Axios 实例向后台换取登录态并保存到本地存储
+ * 请求前使用 wx.checkSession 检查登录态，过期时静默重新登录，同一时间只会登录一次
+ *
+ * @param {Axios} instance Axios 实例
+ * @param {Object} options
+ * @param {String} options.loginUrl 使用 code 换取登录态的接口地址
+ * @param {String} options.method 换取登录态的请求方法
+ * @param {Function} options.getLoginData 生成换取登录态的请求参数 getLoginData(code)
+ * @param {Function} options.parseSession 从响应结果中读取登录态 parseSession(response)
+ * @param {Function} options.attach 将登录态写入请求 attach(config, session)，默认写入 config.token
+ * @param {Function} options.isSessionError 判断响应结果是否为登录态失效 isSessionError(response)
+ * @param {String} options.storageKey 登录态在本地存储中的键名
+ * @param {Number} options.checkInterval 两次 wx.checkSession 的最小间隔
+ */
+function SessionManager(instance, options) {
+  if (!options || !options.loginUrl) {
+    throw Error(`[${name}] useSession 需要传入 loginUrl 属性！`)
+  }
+
+  this.instance = instance
+  this.options = utils.merge(DEFAULT_SESSION, options)
+  this.logging = null
+  this.ensuring = null
+  this.checkedAt = 0
+  // 每次登录成功后递增，用于判断请求发出时使用的是否为旧的登录态
+  this.version = 0
+
+  const manager = this
+
+  this.requestInterceptorId = instance.interceptors.request.use(function onSessionRequest(config) {
+    return manager.prepare(config)
+  })
+
+  this.responseInterceptorId = instance.interceptors.response.use(function onSessionResponse(response) {
+    if (manager.isSessionError(response)) {
+      return manager.handleSessionError(response.config, response)
+    }
+    return response
+  }, function onSessionResponseError(error) {
+    if (error && error.response && manager.isSessionError(error.response)) {
+      return manager.handleSessionError(error.config, error)
+    }
+    return Promise.reject(error)
+  })
+}
+
+/**
+ * 读取本地存储中的登录态
+ *
+ * @returns {Object|undefined} session
+ */
+SessionManager.prototype.getSession = function getSession() {
+  try {
+    return getPlatform().storage.getItem(this.options.storageKey) || undefined
+  } catch (e) {
+    return undefined
+  }
+}
+
+/**
+ * 保存登录态
+ *
+ * @param {Object} session
+ */
+SessionManager.prototype.setSession = function setSession(session) {
+  try {
+    getPlatform().storage.setItem(this.options.storageKey, session)
+  } catch (e) {}
+}
+
+/**
+ * 清除登录态
+ */
+SessionManager.prototype.clear = function clear() {
+  this.checkedAt = 0
+  try {
+    getPlatform().storage.removeItem(this.options.storageKey)
+  } catch (e) {}
+}
+
+/**
+ * 登录，同一时间只会登录一次
+ *
+ * @returns {Promise} session
+ */
+SessionManager.prototype.login = function login() {
+  if (this.logging) {
+    return this.logging
+  }
+
+  const manager = this
+  const options = this.options
+
+  this.logging = new Promise(function callWXLogin(resolve, reject) {
+    getPlatform().login({
+      success: resolve,
+      fail: function onLoginFail(err) {
+        reject(AxiosError.fromErrMsg(err))
+      }
+    })
+  }).then(function exchangeCode(res) {
+    return manager.instance.request({
+      url: options.loginUrl,
+      method: options.method,
+      data: options.getLoginData(res.code),
+      skipSession: true,
+      skipAuth: true
+    })
+  }).then(function onLoginResolve(response) {
+    const session = options.parseSession(response)
+    if (!session) {
+      throw new AxiosError(`[${name}] 未能从登录接口中读取到登录态！`, AxiosError.ERR_BAD_RESPONSE, response.config, response.request, response)
+    }
+    manager.setSession(session)
+    manager.checkedAt = Date.now()
+    manager.version++
+    manager.logging = null
+    return session
+  }, function onLoginReject(err) {
+    manager.logging = null
+    return Promise.reject(err)
+  })
+
+  return this.logging
+}
+
+/**
+ * 检查登录态，检查间隔内直接返回本地的登录态
+ *
+ * @returns {Promise} 登录态有效时返回 session，否则返回 undefined
+ */
+SessionManager.prototype.check = function check() {
+  const manager = this
+  const session = this.getSession()
+
+  if (!session) {
+    return Promise.resolve(undefined)
+  }
+  if (Date.now() - this.checkedAt < this.options.checkInterval) {
+    return Promise.resolve(session)
+  }
+
+  // 平台不支持 checkSession 时以登录态的过期时间为准
+  if (!utils.isFunction(getPlatform().checkSession)) {
+    return Promise.resolve(session)
+  }
+
+  return new Promise(function callWXCheckSession(resolve) {
+    getPlatform().checkSession({
+      success: function onCheckSessionSuccess() {
+        manager.checkedAt = Date.now()
+        resolve(session)
+      },
+      fail: function onCheckSessionFail() {
+        manager.clear()
+        resolve(undefined)
+      }
+    })
+  })
+}
+
+/**
+ * 获取有效的登录态，过期或不存在时重新登录
+ * 检查、登录期间的其他请求共用同一个 Promise
+ *
+ * @returns {Promise} session
+ */
+SessionManager.prototype.ensure = function ensure() {
+  if (this.ensuring) {
+    return this.ensuring
+  }
+  if (this.logging) {
+    return this.logging
+  }
+
+  const manager = this
+  this.ensuring = this.check().then(function onCheck(session) {
+    return session || manager.login()
+  }).then(function onEnsureResolve(session) {
+    manager.ensuring = null
+    return session
+  }, function onEnsureReject(err) {
+    manager.ensuring = null
+    return Promise.reject(err)
+  })
+
+  return this.ensuring
+}
+
+/**
+ * 请求前处理登录态
+ * 正在登录时等待登录完成，requiresSession 的请求在没有登录态时先登录
+ *
+ * @param {Object} config 配置对象
+ * @returns {Promise} config
+ */
+SessionManager.prototype.prepare = function prepare(config) {
+  if (config.skipSession) {
+    return config
+  }
+
+  const manager = this
+  let pending
+
+  if (this.ensuring || this.logging) {
+    pending = this.ensuring || this.logging
+  } else if (config.requiresSession || this.getSession()) {
+    // 已有登录态的请求同样检查登录态，过期时静默重新登录
+    pending = this.ensure()
+  } else {
+    config.sessionVersion = this.version
+    return config
+  }
+
+  // 不要求登录态的请求在登录失败时照常发出
+  if (!config.requiresSession) {
+    pending = pending.catch(noop)
+  }
+
+  return pending.then(function attachSession(session) {
+    config.sessionVersion = manager.version
+    if (session) {
+      manager.options.attach(config, session)
+    }
+    return config
+  })
+}
+
+/**
+ * 判断响应结果是否为登录态失效
+ *
+ * @param {Object} response 响应结果
+ * @returns {Boolean} true or false
+ */
+SessionManager.prototype.isSessionError = function isSessionError(response) {
+  const config = response.config || {}
+  return !config.skipSession && utils.isFunction(this.options.isSessionError) && !!this.options.isSessionError(response)
+}
+
+/**
+ * 处理登录态失效，重新登录后重新发送请求，只重新发送一次
+ *
+ * @param {Object} config 请求的配置对象
+ * @param {Object} reason 登录态失效的响应结果或错误对象
+ * @returns {Promise}
+ */
+SessionManager.prototype.handleSessionError = function handleSessionError(config, reason) {
+  if (!config || config.sessionRetried) {
+    return isAxiosError(reason) ? Promise.reject(reason) : reason
+  }
+
+  const manager = this
+  let logging
+
+  if (config.sessionVersion < this.version) {
+    // 请求发出后已经重新登录过，直接使用新的登录态重新发送
+    logging = Promise.resolve()
+  } else if (this.logging) {
+    logging = this.logging
+  } else {
+    this.clear()
+    logging = this.login()
+  }
+
+  return logging.then(function retryRequest() {
+    return manager.instance.request(Object.assign({}, config, { sessionRetried: true }))
+  })
+}
+
+/**
+ * 移除登录态拦截器
+ */
+SessionManager.prototype.eject = function eject() {
+  this.instance.interceptors.request.eject(this.requestInterceptorId)
+  this.instance.interceptors.response.eject(this.responseInterceptorId)
+}
+
+
+/** 模拟请求 */
+
+/**
+ * 模拟请求适配器
+ * 替换 Axios 实例的 adapter，按请求方法以及地址匹配处理函数，返回与 wx 接口一致的响应结果
+ * 支持 wx.request\wx.uploadFile\wx.downloadFile\wx.connectSocket
+ *
+ * @param {Axios} instance Axios 实例
+ * @param {Object} options
+ * @param {Number} options.delay 默认的响应延迟
+ * @param {String} options.onNoMatch 没有匹配的处理函数时的处理方式，passthrough 发起真实请求，默认返回 404
+ *
+ * @example
+ *
+ * const mock = new axios.MockAdapter(axios)
+ * mock.onGet('/users/:id').reply(200, { name: 'Fred' })
+ */
+function MockAdapter(instance, options) {
+  if (!instance || !instance.defaults) {
+    throw Error(`[${name}] MockAdapter 需要传入 Axios 实例！`)
+  }
+
+  this.instance = instance
+  this.options = utils.merge({ delay: 0, onNoMatch: '' }, options || {})
+  this.handlers = []
+  this.history = {}
+  this.originalAdapter = instance.defaults.adapter
+  this.resetHistory()
+
+  const mock = this
+  instance.defaults.adapter = function getMockAdapter(config) {
+    const original = mock.originalAdapter(config)
+    return {
+      adapter: function mockAdapter(adapterConfig) {
+        return mock.handle(adapterConfig, original)
+      },
+      adapterName: original.adapterName
+    }
+  }
+}
+
+/**
+ * 注册处理函数
+ *
+ * @param {String} method 请求方法，传入 ANY 匹配所有请求方法
+ * @param {String|RegExp} url 请求地址，支持 /users/:id、/users/{id} 形式的路径模板，不传则匹配所有地址
+ * @param {Object} options 额外的匹配条件 { params, data, adapterName }
+ * @returns {MockHandler}
+ */
+MockAdapter.prototype.on = function on(method, url, options) {
+  const handler = new MockHandler(this, (method || 'ANY').toUpperCase(), url, options || {})
+  this.handlers.push(handler)
+  return handler
+}
+
+utils.each(methods.concat('ANY'), function mockMethod(method) {
+  const key = 'on' + method.charAt(0) + method.slice(1).toLowerCase()
+  MockAdapter.prototype[key] = function onMethod(url, options) {
+    return this.on(method, url, options)
+  }
+})
+
+/**
+ * 模拟 wx.uploadFile\wx.downloadFile\wx.connectSocket
+ */
+MockAdapter.prototype.onUploadFile = function onUploadFile(url, options) {
+  return this.on('ANY', url, utils.merge(options || {}, { adapterName: 'wx.uploadFile' }))
+}
+
+MockAdapter.prototype.onDownloadFile = function onDownloadFile(url, options) {
+  return this.on('ANY', url, utils.merge(options || {}, { adapterName: 'wx.downloadFile' }))
+}
+
+MockAdapter.prototype.onConnectSocket = function onConnectSocket(url, options) {
+  return this.on('ANY', url, utils.merge(options || {}, { adapterName: 'wx.connectSocket' }))
+}
+
+/**
+ * 清空请求记录
+ */
+MockAdapter.prototype.resetHistory = function resetHistory() {
+  const history = { all: [] }
+  utils.each(methods, function createHistory(method) {
+    history[method.toLowerCase()] = []
+  })
+  this.history = history
+}
+
+/**
+ * 清空处理函数
+ */
+MockAdapter.prototype.resetHandlers = function resetHandlers() {
+  this.handlers = []
+}
+
+/**
+ * 清空处理函数以及请求记录
+ */
+MockAdapter.prototype.reset = function reset() {
+  this.resetHandlers()
+  this.resetHistory()
+}
+
+/**
+ * 还原 Axios 实例的 adapter
+ */
+MockAdapter.prototype.restore = function restore() {
+  this.instance.defaults.adapter = this.originalAdapter
+}
+
+/**
+ * 处理请求
+ *
+ * @param {Object} config 配置对象
+ * @param {Object} original 原本的适配器 { adapter, adapterName }
+ * @returns {Promise}
+ */
+MockAdapter.prototype.handle = function handle(config, original) {
+  const adapterName = original.adapterName
+
+  // 使用拷贝的配置对象计算地址，真实请求时适配器会重新处理
+  const matchConfig = Object.assign({}, config, { header: Object.assign({}, config.header) })
+  const url = setFullPathURL(matchConfig) || ''
+  const header = setAuthorizationHeader(matchConfig)
+  const request = { adapterName, method: config.method, url, header, data: config.data, config }
+
+  this.history.all.push(request)
+  if (this.history[(config.method || '').toLowerCase()]) {
+    this.history[config.method.toLowerCase()].push(request)
+  }
+
+  let matched
+  utils.each(this.handlers, function findHandler(handler) {
+    if (handler.match(request)) {
+      matched = handler
+      return false
+    }
+  })
+
+  if ((!matched && this.options.onNoMatch === 'passthrough') || (matched && matched.isPassThrough)) {
+    return original.adapter(config)
+  }
+
+  if (matched && matched.once) {
+    this.handlers.splice(this.handlers.indexOf(matched), 1)
+  }
+
+  const spec = matched
+                ? matched.resolveSpec(request)
+                : Promise.resolve({ status: 404, data: '' })
+  return mockRespond(config, request, spec, matched && matched.delayTime !== undefined ? matched.delayTime : this.options.delay)
+}
+
+/**
+ * 模拟请求的处理函数
+ *
+ * @param {MockAdapter} mock
+ * @param {String} method 请求方法
+ * @param {String|RegExp} url 请求地址
+ * @param {Object} options 额外的匹配条件
+ */
+function MockHandler(mock, method, url, options) {
+  this.mock = mock
+  this.method = method
+  this.url = url
+  this.options = options
+  this.matcher = createURLMatcher(url)
+  this.spec = null
+  this.once = false
+  this.isPassThrough = false
+  this.delayTime = undefined
+  this.progressEvents = []
+  this.chunks = []
+}
+
+/**
+ * 请求数据经过 transformRequest 序列化为 JSON 字符串时，解析后再进行匹配
+ *
+ * @param {*} data 请求数据
+ * @returns {*} 解析后的请求数据
+ */
+function parseMockData(data) {
+  if (utils.isString(data)) {
+    try {
+      return JSON.parse(data)
+    } catch (e) {
+      return data
+    }
+  }
+  return data
+}
+
+/**
+ * 判断处理函数是否匹配请求
+ *
+ * @param {Object} request { adapterName, method, url, data, config }
+ * @returns {Boolean} true or false
+ */
+MockHandler.prototype.match = function match(request) {
+  const options = this.options
+  if (this.method !== 'ANY' && this.method !== request.method) {
+    return false
+  }
+  if (options.adapterName && options.adapterName !== request.adapterName) {
+    return false
+  }
+  if (options.params && helpers.stableStringify(options.params) !== helpers.stableStringify(request.config.params)) {
+    return false
+  }
+  if (options.data && helpers.stableStringify(options.data) !== helpers.stableStringify(parseMockData(request.data))) {
+    return false
+  }
+  const pathParams = this.matcher(request.url, request.config.baseURL)
+  if (!pathParams) {
+    return false
+  }
+  request.pathParams = pathParams
+  return true
+}
+
+/**
+ * 设置响应结果
+ *
+ * @param {Number|Function} status 响应状态码，也可以传入函数 fn(config, request) 返回 [status, data, headers] 或 Promise
+ * @param {*} data 响应数据
+ * @param {Object} headers 响应头
+ * @returns {MockAdapter}
+ */
+MockHandler.prototype.reply = function reply(status, data, headers) {
+  this.spec = utils.isFunction(status)
+                ? status
+                : { status, data, headers }
+  return this.mock
+}
+
+/**
+ * 设置只响应一次的结果
+ */
+MockHandler.prototype.replyOnce = function replyOnce(status, data, headers) {
+  this.once = true
+  return this.reply(status, data, headers)
+}
+
+/**
+ * 模拟 wx 接口失败
+ *
+ * @param {String} errMsg 错误信息，不需要带接口前缀，如 fail timeout
+ * @returns {MockAdapter}
+ */
+MockHandler.prototype.fail = function fail(errMsg) {
+  this.spec = { errMsg: errMsg || 'fail' }
+  return this.mock
+}
+
+/**
+ * 模拟网络错误
+ */
+MockHandler.prototype.networkError = function networkError() {
+  return this.fail('fail -101:net::ERR_CONNECTION_RESET')
+}
+
+/**
+ * 模拟请求超时
+ */
+MockHandler.prototype.timeout = function timeout() {
+  return this.fail('fail timeout')
+}
+
+/**
+ * 发起真实请求
+ */
+MockHandler.prototype.passThrough = function passThrough() {
+  this.isPassThrough = true
+  return this.mock
+}
+
+/**
+ * 设置响应延迟
+ *
+ * @param {Number} ms 毫秒数
+ * @returns {MockHandler}
+ */
+MockHandler.prototype.withDelay = function withDelay(ms) {
+  this.delayTime = ms
+  return this
+}
+
+/**
+ * 设置响应前触发的 onProgressUpdate 事件
+ *
+ * @param {Array} events [{ progress, totalBytesWritten, totalBytesExpectedToWrite }]
+ * @returns {MockHandler}
+ */
+MockHandler.prototype.withProgress = function withProgress(events) {
+  this.progressEvents = events || []
+  return this
+}
+
+/**
+ * 设置响应前触发的 onChunkReceived 事件
+ *
+ * @param {Array} chunks [ArrayBuffer|String]
+ * @returns {MockHandler}
+ */
+MockHandler.prototype.withChunks = function withChunks(chunks) {
+  this.chunks = chunks || []
+  return this
+}
+
+/**
+ * 获取响应结果
+ *
+ * @param {Object} request 请求信息
+ * @returns {Promise} { status, data, headers, errMsg, progress, chunks }
+ */
+MockHandler.prototype.resolveSpec = function resolveSpec(request) {
+  const handler = this
+  const spec = this.spec
+  return new Promise(function callReply(resolve) {
+    resolve(utils.isFunction(spec) ? spec(request.config, request) : spec)
+  }).then(function normalizeSpec(result) {
+    if (Array.isArray(result)) {
+      result = { status: result[0], data: result[1], headers: result[2] }
+    }
+    return Object.assign({
+      status: 200,
+      progress: handler.progressEvents,
+      chunks: handler.chunks
+    }, result || {})
+  })
+}
+
+/**
+ * 创建地址匹配函数
+ *
+ * @param {String|RegExp} pattern 地址、正则或路径模板
+ * @returns {Function} 匹配时返回路径参数对象，否则返回 null
+ */
+function createURLMatcher(pattern) {
+  if (pattern === undefined || pattern === null || pattern === '') {
+    return function matchAll() {
+      return {}
+    }
+  }
+
+  if (pattern instanceof RegExp) {
+    return function matchRegExp(url) {
+      return pattern.test(url) ? {} : null
+    }
+  }
+
+  // 路径模板 /users/:id、/users/{id}
+  const keys = []
+  const source = (pattern + '').replace(reFootSlash, '').replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(rePathParam, function replaceKey(match, prefix, key1, key2) {
+    keys.push(key1 || key2)
+    return (prefix || '') + '([^/?#]+)'
+  })
+  const reTemplate = new RegExp('^' + source + '$')
+
+  return function matchTemplate(url, baseURL) {
+    // 去掉查询参数、hash 以及尾部的斜杠
+    const path = url.split(/[?#]/)[0].replace(reFootSlash, '')
+    const candidates = [path]
+    if (baseURL && path.indexOf((baseURL + '').replace(reFootSlash, '')) === 0) {
+      candidates.push(path.slice((baseURL + '').replace(reFootSlash, '').length) || '/')
+    }
+
+    let result = null
+    utils.each(candidates, function matchCandidate(candidate) {
+      const matches = reTemplate.exec(candidate)
+      if (matches) {
+        result = {}
+        utils.each(keys, function setParam(key, index) {
+          result[key] = decodeURIComponent(matches[index + 1])
+        })
+        return false
+      }
+    })
+    return result
+  }
+}
+
+/**
+ * 按 wx 接口的行为返回模拟的响应结果
+ *
+ * @param {Object} config 配置对象
+ * @param {Object} request 请求信息
+ * @param {Promise} spec 响应结果
+ * @param {Number} delay 响应延迟
+ * @returns {Promise}
+ */
+function mockRespond(config, request, spec, delay) {
+  const adapterName = request.adapterName
+  const apiName = adapterName.replace('wx.', '')
+  const isSocket = adapterName === 'wx.connectSocket'
+
+  return new Promise(function sendMockRequest(resolve, reject) {
+    try {
+      throwIfCancellationRequested(config)
+    } catch (err) {
+      return reject(err)
+    }
+
+    const timers = []
+    let settled = false
+
+    function later(fn, ms) {
+      timers.push(setTimeout(fn, ms || 0))
+    }
+
+    function fail(errMsg) {
+      if (settled) {
+        return undefined
+      }
+      settled = true
+      reject(AxiosError.fromErrMsg({ errMsg: apiName + ':' + errMsg }, config, requestTask))
+    }
+
+    const requestTask = createMockTask(function onAbort() {
+      utils.each(timers, clearTimeout)
+      fail('fail abort')
+    })
+
+    config.requestTask = requestTask
+    adapterCancelSettle(requestTask, config, reject, isSocket ? 'close' : 'abort')
+    if (config.task) {
+      adapterTaskSettle(requestTask, config.task, config)
+    }
+
+    spec.then(function onSpecResolve(result) {
+      later(function respond() {
+        if (settled) {
+          return undefined
+        }
+        if (result.errMsg) {
+          return fail(result.errMsg)
+        }
+
+        const headers = result.headers || {}
+        requestTask.emit('onHeadersReceived', { header: headers })
+        utils.each(result.progress || [], function emitProgress(event) {
+          requestTask.emit('onProgressUpdate', event)
+        })
+        utils.each(result.chunks || [], function emitChunk(chunk) {
+          requestTask.emit('onChunkReceived', { data: chunk })
+        })
+
+        settled = true
+        resolve(createMockResponse(result, config, apiName))
+
+        // wx.connectSocket 连接成功后触发 onOpen 以及 onMessage
+        if (isSocket) {
+          later(function openSocket() {
+            requestTask.emit('onOpen', { header: headers })
+            utils.each(result.messages || [], function emitMessage(message) {
+              requestTask.emit('onMessage', { data: message })
+            })
+          })
+        }
+      }, delay)
+    }, function onSpecReject(err) {
+      settled = true
+      reject(err)
+    })
+  })
+}
+
+/**
+ * 创建模拟的任务对象
+ *
+ * @param {Function} onAbort 调用 abort\close 时执行
+ * @returns {Object} 任务对象
+ */
+function createMockTask(onAbort) {
+  const listeners = {}
+  const task = {
+    messages: [],
+    emit: function emit(event, res) {
+      utils.each((listeners[event] || []).slice(), function callListener(listener) {
+        listener(res)
+      })
+    },
+    abort: function abort() {
+      onAbort()
+    },
+    send: function send(options) {
+      task.messages.push(options && options.data)
+      if (options && utils.isFunction(options.success)) {
+        options.success({ errMsg: 'sendSocketMessage:ok' })
+      }
+    },
+    close: function close() {
+      onAbort()
+      task.emit('onClose', { code: 1000, reason: '' })
+    }
+  }
+
+  utils.each(['ProgressUpdate', 'HeadersReceived', 'ChunkReceived', 'Open', 'Message', 'Error', 'Close'], function createListener(event) {
+    task['on' + event] = function on(listener) {
+      (listeners['on' + event] = listeners['on' + event] || []).push(listener)
+    }
+    task['off' + event] = function off(listener) {
+      const list = listeners['on' + event] || []
+      if (listener && list.indexOf(listener) !== -1) {
+        list.splice(list.indexOf(listener), 1)
+      } else if (!listener) {
+        list.length = 0
+      }
+    }
+  })
+
+  return task
+}
+
+/**
+ * 创建与 wx 接口一致的响应结果
+ *
+ * @param {Object} result 模拟的响应结果
+ * @param {Object} config 配置对象
+ * @param {String} apiName 接口名称
+ * @returns {Object}
+ */
+function createMockResponse(result, config, apiName) {
+  const response = { errMsg: apiName + ':ok' }
+
+  if (apiName === 'connectSocket') {
+    return response
+  }
+
+  response.statusCode = result.status
+  response.header = result.headers || {}
+
+  if (apiName === 'downloadFile') {
+    response.tempFilePath = result.tempFilePath || 'wxfile://tmp/mock'
+    if (config.filePath) {
+      response.filePath = config.filePath
+    }
+    return response
+  }
+
+  // wx.uploadFile 的响应数据为字符串
+  response.data = apiName === 'uploadFile' && !utils.isString(result.data)
+                    ? JSON.stringify(result.data)
+                    : result.data
+  if (apiName === 'request') {
+    response.cookies = result.cookies || []
+  }
+  return response
+}
+
+
+/** 批量上传 */
+
+// 批量上传特有的配置，不传递给单个文件的请求
+const UPLOAD_FILES_KEYS = ['concurrency', 'retries', 'onProgressUpdate']
+
+/**
+ * 批量上传文件
+ * 按并发数依次上传，单个文件失败不影响其他文件，全部结束后返回每个文件的结果
+ *
+ * @param {Axios} instance Axios 实例
+ * @param {Array} files 文件列表 [{ filePath, name, formData, header }]
+ * @param {Object} options 配置对象，除以下配置外的其他配置作用于每个文件的请求
+ * @param {Number} options.concurrency 同时上传的文件数
+ * @param {Number} options.retries 上传失败的文件重新上传的次数，取消的请求不会重新上传
+ * @param {Function} options.onProgressUpdate 上传进度回调，参数为整体进度以及当前文件的进度
+ * @returns {Promise} { results, succeeded, failed }
+ */
+function uploadFiles(instance, files, options) {
+  options = utils.merge(DEFAULT_UPLOAD_FILES, options || {})
+  files = (files || []).map(function normalizeFile(file) {
+    return utils.isString(file) ? { filePath: file } : file
+  })
+
+  const requestOptions = {}
+  utils.each(Object.keys(options), function pickRequestOption(key) {
+    if (UPLOAD_FILES_KEYS.indexOf(key) === -1) {
+      requestOptions[key] = options[key]
+    }
+  })
+
+  const concurrency = Math.max(1, options.concurrency || 1)
+  const results = []
+  const progresses = files.map(function createProgress(file, index) {
+    return {
+      index,
+      filePath: file.filePath,
+      progress: 0,
+      totalBytesSent: 0,
+      totalBytesExpectedToSend: 0
+    }
+  })
+
+  // 整体进度为所有文件进度的平均值，已结束的文件（包括失败的文件）按 100 计算
+  function emitProgress(index) {
+    if (!utils.isFunction(options.onProgressUpdate)) {
+      return undefined
+    }
+    let progress = 0
+    let totalBytesSent = 0
+    let totalBytesExpectedToSend = 0
+    utils.each(progresses, function sumProgress(item) {
+      progress += results[item.index] ? 100 : item.progress
+      totalBytesSent += item.totalBytesSent
+      totalBytesExpectedToSend += item.totalBytesExpectedToSend
+    })
+    options.onProgressUpdate({
+      progress: files.length ? Math.floor(progress / files.length) : 100,
+      totalBytesSent,
+      totalBytesExpectedToSend,
+      completed: results.filter(Boolean).length,
+      total: files.length,
+      file: progresses[index],
+      files: progresses
+    })
+  }
+
+  function uploadOne(index, attempt) {
+    const file = files[index]
+    const task = Object.assign({}, requestOptions.task)
+    // 保留调用方的 onProgressUpdate，同时统计进度
+    task.onProgressUpdate = function onFileProgressUpdate(res, requestTask) {
+      Object.assign(progresses[index], {
+        progress: res.progress || 0,
+        totalBytesSent: res.totalBytesSent || 0,
+        totalBytesExpectedToSend: res.totalBytesExpectedToSend || 0
+      })
+      if (requestOptions.task && utils.isFunction(requestOptions.task.onProgressUpdate)) {
+        requestOptions.task.onProgressUpdate(res, requestTask)
+      }
+      emitProgress(index)
+    }
+
+    const config = utils.merge(requestOptions, file, {
+      name: file.name || options.name,
+      task
+    })
+
+    // 参数错误等同步抛出的错误同样记录为失败，不影响其他文件
+    return Promise.resolve().then(() => instance.uploadFile(config)).then(function onUploadResolve(response) {
+      progresses[index].progress = 100
+      return { index, filePath: file.filePath, status: 'fulfilled', response, attempts: attempt }
+    }, function onUploadReject(error) {
+      if (attempt <= options.retries && !isCancel(error)) {
+        progresses[index].progress = 0
+        return uploadOne(index, attempt + 1)
+      }
+      return { index, filePath: file.filePath, status: 'rejected', error, attempts: attempt }
+    })
+  }
+
+  let cursor = 0
+  function next() {
+    if (cursor >= files.length) {
+      return Promise.resolve()
+    }
+    const index = cursor++
+    return uploadOne(index, 1).then(function onFileSettled(result) {
+      results[index] = result
+      emitProgress(index)
+      return next()
+    })
+  }
+
+  const workers = []
+  for (let i = 0; i < Math.min(concurrency, files.length); i++) {
+    workers.push(next())
+  }
+
+  return Promise.all(workers).then(function onUploadFilesSettled() {
+    return {
+      results,
+      succeeded: results.filter(result => result.status === 'fulfilled'),
+      failed: results.filter(result => result.status === 'rejected')
+    }
+  })
+}
+
+
+/** 文件处理 */
+
+/**
+ * 获取运行平台的文件管理器
+ *
+ * @returns {FileSystemManager}
+ */
+function getFileSystem() {
+  const currentPlatform = getPlatform()
+  if (!utils.isFunction(currentPlatform.getFileSystemManager)) {
+    throw Error(`[${name}] 当前运行平台不支持 getFileSystemManager！`)
+  }
+  return currentPlatform.getFileSystemManager()
+}
+
+/**
+ * 获取运行平台的用户文件目录，如 wx.env.USER_DATA_PATH
+ *
+ * @returns {String} 用户文件目录
+ */
+function getUserDataPath() {
+  const currentPlatform = getPlatform()
+  const userDataPath = utils.isFunction(currentPlatform.getUserDataPath) ? currentPlatform.getUserDataPath() : ''
+  if (!userDataPath) {
+    throw Error(`[${name}] 当前运行平台没有用户文件目录 USER_DATA_PATH！`)
+  }
+  return userDataPath
+}
+
+/**
+ * 以 Promise 的形式调用文件管理器的接口
+ *
+ * @param {String} method 接口名称，如 readFile
+ * @param {Object} options 接口参数
+ * @returns {Promise} 接口的 success 回调结果
+ */
+function callFileSystem(method, options) {
+  return new Promise(function callFileSystemMethod(resolve, reject) {
+    const fileSystem = getFileSystem()
+    fileSystem[method](Object.assign({}, options, {
+      success: resolve,
+      fail: function onFileSystemFail(err) {
+        reject(new AxiosError(`[${name}] ${(err && err.errMsg) || method + ':fail'}！`, AxiosError.ERR_BAD_REQUEST))
+      }
+    }))
+  })
+}
+
+/**
+ * 读取文件的一段内容
+ *
+ * @param {String} filePath 文件路径
+ * @param {Number} position 开始读取的位置
+ * @param {Number} length 读取的长度
+ * @returns {Promise} ArrayBuffer
+ */
+function readFileRange(filePath, position, length) {
+  return callFileSystem('readFile', { filePath, position, length }).then(res => res.data)
+}
+
+/**
+ * 获取文件大小
+ *
+ * @param {String} filePath 文件路径
+ * @returns {Promise} 文件大小（字节）
+ */
+function getFileSize(filePath) {
+  return callFileSystem('getFileInfo', { filePath }).then(res => res.size)
+}
+
+// MD5 每一步的常量以及循环左移位数
+const MD5_K = Array.from({ length: 64 }, (value, index) => Math.floor(Math.abs(Math.sin(index + 1)) * 0x100000000) | 0)
+const MD5_S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21]
+
+/**
+ * MD5 摘要，支持分段追加数据
+ *
+ * @example
+ *
+ * const md5 = new MD5()
+ * md5.update(arrayBuffer1)
+ * md5.update(arrayBuffer2)
+ * md5.digest() // 'd41d8cd98f00b204e9800998ecf8427e'
+ */
+function MD5() {
+  this.state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]
+  this.buffer = new Uint8Array(64)
+  this.bufferLength = 0
+  this.length = 0
+}
+
+MD5.prototype.update = function update(data) {
+  const bytes = helpers.toUint8Array(data)
+  let offset = 0
+
+  this.length += bytes.length
+  while (offset < bytes.length) {
+    const size = Math.min(64 - this.bufferLength, bytes.length - offset)
+    this.buffer.set(bytes.subarray(offset, offset + size), this.bufferLength)
+    this.bufferLength += size
+    offset += size
+    if (this.bufferLength === 64) {
+      this.transform(this.buffer)
+      this.bufferLength = 0
+    }
+  }
+  return this
+}
+
+// 处理一个 64 字节的数据块
+MD5.prototype.transform = function transform(block) {
+  const words = new Array(16)
+  for (let i = 0; i < 16; i++) {
+    words[i] = block[i * 4] | (block[i * 4 + 1] << 8) | (block[i * 4 + 2] << 16) | (block[i * 4 + 3] << 24)
+  }
+
+  let [a, b, c, d] = this.state
+  for (let i = 0; i < 64; i++) {
+    let f
+    let g
+    if (i < 16) {
+      f = (b & c) | (~b & d)
+      g = i
+    } else if (i < 32) {
+      f = (d & b) | (~d & c)
+      g = (5 * i + 1) % 16
+    } else if (i < 48) {
+      f = b ^ c ^ d
+      g = (3 * i + 5) % 16
+    } else {
+      f = c ^ (b | ~d)
+      g = (7 * i) % 16
+    }
+    const shift = MD5_S[(i >> 4) * 4 + (i % 4)]
+    const sum = (a + f + MD5_K[i] + words[g]) | 0
+    a = d
+    d = c
+    c = b
+    b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0
+  }
+
+  this.state[0] = (this.state[0] + a) | 0
+  this.state[1] = (this.state[1] + b) | 0
+  this.state[2] = (this.state[2] + c) | 0
+  this.state[3] = (this.state[3] + d) | 0
+}
+
+/**
+ * 计算摘要
+ *
+ * @param {String} encoding hex 或 bytes，默认为 hex
+ * @returns {String|Uint8Array}
+ */
+MD5.prototype.digest = function digest(encoding) {
+  return finishHash(this, true, encoding)
+}
+
+/**
+ * 追加填充以及数据长度后输出摘要，MD5 使用小端序，SHA-1 使用大端序
+ *
+ * @param {MD5|SHA1} hash
+ * @param {Boolean} littleEndian 是否为小端序
+ * @param {String} encoding hex 或 bytes
+ * @returns {String|Uint8Array}
+ */
+function finishHash(hash, littleEndian, encoding) {
+  const bitLength = hash.length * 8
+  const padding = new Uint8Array((hash.bufferLength < 56 ? 56 : 120) - hash.bufferLength + 8)
+  padding[0] = 0x80
+  // 数据长度，64 位
+  const lengthOffset = padding.length - 8
+  const low = bitLength % 0x100000000
+  const high = Math.floor(bitLength / 0x100000000)
+  for (let i = 0; i < 4; i++) {
+    if (littleEndian) {
+      padding[lengthOffset + i] = (low >>> (i * 8)) & 0xff
+      padding[lengthOffset + 4 + i] = (high >>> (i * 8)) & 0xff
+    } else {
+      padding[lengthOffset + 3 - i] = (high >>> (i * 8)) & 0xff
+      padding[lengthOffset + 7 - i] = (low >>> (i * 8)) & 0xff
+    }
+  }
+  const length = hash.length
+  hash.update(padding)
+  hash.length = length
+
+  const bytes = new Uint8Array(hash.state.length * 4)
+  utils.each(hash.state, function writeState(value, index) {
+    for (let i = 0; i < 4; i++) {
+      bytes[index * 4 + (littleEndian ? i : 3 - i)] = (value >>> (i * 8)) & 0xff
+    }
+  })
+  return encoding === 'bytes' ? bytes : helpers.toHex(bytes)
+}
+
+/**
+ * SHA-1 摘要，支持分段追加数据，用法与 MD5 一致
+ */
+function SHA1() {
+  this.state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]
+  this.buffer = new Uint8Array(64)
+  this.bufferLength = 0
+  this.length = 0
+}
+
+SHA1.prototype.update = MD5.prototype.update
+
+// 处理一个 64 字节的数据块
+SHA1.prototype.transform = function transform(block) {
+  const words = new Array(80)
+  for (let i = 0; i < 16; i++) {
+    words[i] = (block[i * 4] << 24) | (block[i * 4 + 1] << 16) | (block[i * 4 + 2] << 8) | block[i * 4 + 3]
+  }
+  for (let i = 16; i < 80; i++) {
+    const value = words[i - 3] ^ words[i - 8] ^ words[i - 14] ^ words[i - 16]
+    words[i] = (value << 1) | (value >>> 31)
+  }
+
+  let [a, b, c, d, e] = this.state
+  for (let i = 0; i < 80; i++) {
+    let f
+    let k
+    if (i < 20) {
+      f = (b & c) | (~b & d)
+      k = 0x5a827999
+    } else if (i < 40) {
+      f = b ^ c ^ d
+      k = 0x6ed9eba1
+    } else if (i < 60) {
+      f = (b & c) | (b & d) | (c & d)
+      k = 0x8f1bbcdc
+    } else {
+      f = b ^ c ^ d
+      k = 0xca62c1d6
+    }
+    const temp = (((a << 5) | (a >>> 27)) + f + e + k + words[i]) | 0
+    e = d
+    d = c
+    c = (b << 30) | (b >>> 2)
+    b = a
+    a = temp
+  }
+
+  this.state[0] = (this.state[0] + a) | 0
+  this.state[1] = (this.state[1] + b) | 0
+  this.state[2] = (this.state[2] + c) | 0
+  this.state[3] = (this.state[3] + d) | 0
+  this.state[4] = (this.state[4] + e) | 0
+}
+
+SHA1.prototype.digest = function digest(encoding) {
+  return finishHash(this, false, encoding)
+}
+
+// 支持的摘要算法
+const hashAlgorithms = {
+  md5: MD5,
+  sha1: SHA1
+}
+
+/**
+ * 分段读取文件并计算摘要
+ *
+ * @param {String} filePath 文件路径
+ * @param {Object} options
+ * @param {String} options.algorithm 摘要算法 md5\sha1，默认为 md5
+ * @param {Number} options.chunkSize 每次读取的字节数
+ * @param {Boolean} options.useFileInfo 优先使用 getFileInfo 返回的摘要，默认为 true
+ * @returns {Promise} 摘要的十六进制字符串
+ */
+function hashFile(filePath, options) {
+  options = options || {}
+
+  const algorithm = (options.algorithm || 'md5').toLowerCase()
+  const Hash = hashAlgorithms[algorithm]
+  if (!Hash) {
+    return Promise.reject(Error(`[${name}] 不支持的摘要算法 ${options.algorithm}！`))
+  }
+  const chunkSize = options.chunkSize || 1024 * 1024
+  const hash = new Hash()
+
+  // 平台提供摘要时不再读取文件计算
+  return callFileSystem('getFileInfo', { filePath, digestAlgorithm: algorithm }).then(function readChunks(info) {
+    if (options.useFileInfo !== false && info.digest) {
+      return info.digest.toLowerCase()
+    }
+    const size = info.size
+    function readNext(position) {
+      if (position >= size) {
+        return hash.digest()
+      }
+      return readFileRange(filePath, position, Math.min(chunkSize, size - position)).then(function updateHash(data) {
+        hash.update(data)
+        return readNext(position + chunkSize)
+      })
+    }
+    return readNext(0)
+  })
+}
+
+
+/** 分片上传 */
+
+/**
+ * S3、COS 风格的分片上传协议
+ * https://docs.aws.amazon.com/AmazonS3/latest/API/API_CreateMultipartUpload.html
+ * https://cloud.tencent.com/document/product/436/7746
+ *
+ * @param {Object} options
+ * @param {String} options.url 对象地址，如 https://bucket.cos.ap-guangzhou.myqcloud.com/videos/a.mp4
+ * @param {Function} options.sign 签名函数 sign(config, context)，返回修改后的配置对象或 Promise
+ * @returns {Object} protocol { init, uploadPart, complete }
+ */
+function createS3MultipartProtocol(options) {
+  options = options || {}
+
+  function send(context, config) {
+    // 取消分片上传时同时中断进行中的请求
+    config = Object.assign({ forcedJSONParsing: false }, context.cancelConfig, config)
+    return Promise.resolve(utils.isFunction(options.sign) ? options.sign(config, context) : config).then(function sendSigned(signedConfig) {
+      return context.instance.request(signedConfig || config)
+    })
+  }
+
+  function getURL(context) {
+    return options.url || context.options.url
+  }
+
+  return {
+    init: function init(context) {
+      return send(context, {
+        url: getURL(context) + '?uploads',
+        method: 'POST',
+        header: { 'content-type': context.options.contentType || 'application/octet-stream' }
+      }).then(function parseUploadId(response) {
+        const match = /<UploadId>([^<]+)<\/UploadId>/.exec(response.data)
+        if (!match) {
+          throw new AxiosError(`[${name}] 初始化分片上传失败，响应中没有 UploadId！`, AxiosError.ERR_BAD_RESPONSE, response.config, response.request, response)
+        }
+        return { uploadId: match[1] }
+      })
+    },
+    uploadPart: function uploadPart(context, part) {
+      return send(context, {
+        url: getURL(context),
+        method: 'PUT',
+        params: { partNumber: part.partNumber, uploadId: context.session.uploadId },
+        header: { 'content-type': 'application/octet-stream' },
+        data: part.data
+      }).then(function parseETag(response) {
+        return { partNumber: part.partNumber, etag: response.headers.get('etag') }
+      })
+    },
+    complete: function complete(context, parts) {
+      const body = '<CompleteMultipartUpload>' + parts.map(function buildPart(part) {
+        return '<Part><PartNumber>' + part.partNumber + '</PartNumber><ETag>' + part.etag + '</ETag></Part>'
+      }).join('') + '</CompleteMultipartUpload>'
+      return send(context, {
+        url: getURL(context),
+        method: 'POST',
+        params: { uploadId: context.session.uploadId },
+        header: { 'content-type': 'application/xml' },
+        data: body
+      })
+    }
+  }
+}
+
+/**
+ * 大文件分片上传，支持断点续传
+ * 分片通过 FileSystemManager.readFile 读取，以 ArrayBuffer 作为请求体通过 wx.request 上传
+ * 已上传的分片按文件摘要保存到本地存储，小程序被关闭后重新上传同一个文件时跳过已上传的分片
+ *
+ * @param {Axios} instance Axios 实例
+ * @param {String} filePath 文件路径
+ * @param {Object} options 参考 DEFAULT_UPLOAD_LARGE
+ * @param {Object} options.protocol 分片上传协议 { init, uploadPart, complete }，默认为 S3 风格的分片上传
+ * @param {String} options.url S3 风格分片上传的对象地址
+ * @param {String} options.fileKey 断点续传使用的文件标识，默认为文件的 MD5
+ * @param {Object} options.cancelToken 取消分片上传，同时中断进行中的请求
+ * @param {Function} options.onProgressUpdate 上传进度回调
+ * @returns {Promise} { response, fileKey, size, totalChunks, resumedChunks }
+ */
+function uploadLarge(instance, filePath, options) {
+  options = utils.merge(DEFAULT_UPLOAD_LARGE, options || {})
+
+  if (!filePath) {
+    return Promise.reject(Error(`[${name}] uploadLarge 需要传入 filePath！`))
+  }
+
+  const protocol = options.protocol || createS3MultipartProtocol({ url: options.url })
+  const storage = getPlatform().storage
+  const cancelConfig = {}
+  utils.each(['cancelToken', 'signal'], function pickCancelOption(key) {
+    if (options[key]) {
+      cancelConfig[key] = options[key]
+    }
+  })
+  let resumedChunks = 0
+
+  return Promise.all([
+    getFileSize(filePath),
+    options.fileKey ? options.fileKey : hashFile(filePath, { chunkSize: options.chunkSize })
+  ]).then(function startUpload([size, fileKey]) {
+    const storageKey = options.storageKey + ':' + fileKey
+    const chunkSize = options.chunkSize
+    const totalChunks = Math.max(1, Math.ceil(size / chunkSize))
+
+    // 读取保存的上传进度，文件大小或分片大小变化、超出保存时间时重新上传
+    let state = storage.getItem(storageKey)
+    if (!state || state.size !== size || state.chunkSize !== chunkSize || !(Date.now() - state.createdAt <= options.maxAge)) {
+      state = null
+    }
+
+    const context = {
+      instance,
+      filePath,
+      fileKey,
+      size,
+      chunkSize,
+      totalChunks,
+      options,
+      // 协议发出的请求需要合并取消配置 { cancelToken, signal }
+      cancelConfig,
+      session: state ? state.session : null
+    }
+
+    function saveState() {
+      storage.setItem(storageKey, state)
+    }
+
+    function emitProgress() {
+      if (!utils.isFunction(options.onProgressUpdate)) {
+        return undefined
+      }
+      let totalBytesSent = 0
+      utils.each(Object.keys(state.parts), function sumBytes(index) {
+        totalBytesSent += Math.min(chunkSize, size - index * chunkSize)
+      })
+      options.onProgressUpdate({
+        progress: size ? Math.floor(totalBytesSent / size * 100) : 100,
+        totalBytesSent,
+        totalBytesExpectedToSend: size,
+        uploadedChunks: Object.keys(state.parts).length,
+        totalChunks
+      })
+    }
+
+    function uploadChunk(index, attempt) {
+      throwIfCancellationRequested(cancelConfig)
+
+      const start = index * chunkSize
+      const length = Math.min(chunkSize, size - start)
+      return readFileRange(filePath, start, length).then(function sendChunk(data) {
+        throwIfCancellationRequested(cancelConfig)
+        return protocol.uploadPart(context, { index, partNumber: index + 1, start, size: length, data })
+      }).then(function onChunkUploaded(result) {
+        state.parts[index] = result || { partNumber: index + 1 }
+        saveState()
+        emitProgress()
+      }, function onChunkFailed(err) {
+        // 单个分片失败时只重新上传该分片
+        if (attempt <= options.retries && !isCancel(err)) {
+          const delay = Math.min(options.retryDelay * Math.pow(2, attempt - 1), DEFAULT_RETRY.maxDelay)
+          return new Promise(resolve => setTimeout(resolve, delay)).then(function retryChunk() {
+            return uploadChunk(index, attempt + 1)
+          })
+        }
+        return Promise.reject(err)
+      })
+    }
+
+    const init = state
+                  ? Promise.resolve(state.session)
+                  : Promise.resolve(protocol.init(context))
+
+    return init.then(function uploadChunks(session) {
+      context.session = session || {}
+      if (!state) {
+        state = { size, chunkSize, session: context.session, parts: {}, createdAt: Date.now() }
+        saveState()
+      }
+
+      const pending = []
+      for (let index = 0; index < totalChunks; index++) {
+        if (state.parts[index]) {
+          resumedChunks++
+        } else {
+          pending.push(index)
+        }
+      }
+      emitProgress()
+
+      // 任意分片最终失败后不再上传剩余的分片
+      let failed = false
+      function next() {
+        if (!pending.length || failed) {
+          return Promise.resolve()
+        }
+        return uploadChunk(pending.shift(), 1).then(next, function onChunkError(err) {
+          failed = true
+          return Promise.reject(err)
+        })
+      }
+
+      const workers = []
+      for (let i = 0; i < Math.min(Math.max(1, options.concurrency), pending.length); i++) {
+        workers.push(next())
+      }
+      return Promise.all(workers)
+    }).then(function completeUpload() {
+      throwIfCancellationRequested(cancelConfig)
+
+      const parts = []
+      for (let index = 0; index < totalChunks; index++) {
+        parts.push(state.parts[index])
+      }
+      return protocol.complete(context, parts)
+    }).then(function onUploadComplete(response) {
+      storage.removeItem(storageKey)
+      return { response, fileKey, size, totalChunks, resumedChunks }
+    })
+  })
+}
+
+
+/** 秒传 */
+
+/**
+ * 上传前计算文件摘要并询问服务端是否已有该文件，已有时跳过上传
+ * 响应结果的 uploaded 表示是否实际上传了文件，hash 为文件摘要
+ *
+ * @param {Axios} instance Axios 实例
+ * @param {Object} config wx.uploadFile 的配置对象
+ * @returns {Promise} response
+ */
+function uploadFileByHash(instance, config) {
+  const options = utils.merge(DEFAULT_DEDUPE_BY_HASH, config.dedupeByHash === true ? {} : config.dedupeByHash)
+  if (!options.checkUrl) {
+    return Promise.reject(Error(`[${name}] dedupeByHash 需要传入 checkUrl！`))
+  }
+
+  const uploadConfig = Object.assign({}, config, { dedupeByHash: false })
+
+  return hashFile(config.filePath, { algorithm: options.algorithm }).then(function checkFile(hash) {
+    const checkConfig = utils.merge({
+      url: options.checkUrl,
+      method: options.method,
+      cancelToken: config.cancelToken,
+      signal: config.signal
+    }, options.getCheckConfig(hash, options.algorithm, config))
+
+    return instance.request(checkConfig).then(function onCheckResolve(checkResponse) {
+      if (options.isUploaded(checkResponse, hash)) {
+        return Object.assign(checkResponse, { uploaded: false, hash })
+      }
+      if (options.hashField) {
+        uploadConfig.formData = Object.assign({}, uploadConfig.formData, { [options.hashField]: hash })
+      }
+      return instance.uploadFile(uploadConfig).then(function onUploadResolve(response) {
+        return Object.assign(response, { uploaded: true, hash })
+      })
+    })
+  })
+}
+
+
+/** 直传对象存储 */
+
+/**
+ * 根据文件扩展名推断 content-type
+ *
+ * @param {String} filePath 文件路径
+ * @returns {String} content-type
+ */
+function getMimeType(filePath) {
+  const match = /\.([a-z0-9]+)$/i.exec((filePath || '').split(/[?#]/)[0])
+  return (match && MIME_TYPES[match[1].toLowerCase()]) || 'application/octet-stream'
+}
+
+/**
+ * 通过预签名地址直传 COS\OSS\S3 等对象存储
+ * PUT 方式读取整个文件到内存作为请求体通过 wx.request 发送，默认带上 Content-MD5
+ * wx.request 没有上传进度，PUT 方式的进度只有 0 和 100，大文件建议使用 uploadLarge 分片上传
+ * POST 方式（Post Policy）通过 wx.uploadFile 发送表单，fields 为签名返回的表单字段
+ * 预签名地址已包含鉴权信息，不会添加 Authorization、token、登录态以及实例的默认请求头，也不会进行秒传
+ *
+ * @param {Axios} instance Axios 实例
+ * @param {Object} options
+ * @param {String} options.filePath 文件路径
+ * @param {String} options.url 预签名地址
+ * @param {String} options.method PUT 或 POST，默认为 PUT
+ * @param {Object} options.headers PUT 方式额外的请求头
+ * @param {String} options.contentType 文件类型，默认根据扩展名推断，需要与签名时的类型一致
+ * @param {Boolean} options.contentMD5 是否计算 Content-MD5，PUT 方式默认为 true，签名未包含 Content-MD5 的 OSS 地址需要关闭
+ * @param {Object} options.fields POST 方式的表单字段
+ * @param {String} options.name POST 方式文件对应的字段名，默认为 file
+ * @param {Function} options.onProgressUpdate 上传进度回调，PUT 方式只在开始、结束时触发
+ * @returns {Promise} response
+ */
+function uploadToPresigned(instance, options) {
+  options = options || {}
+
+  if (!options.filePath || !options.url) {
+    return Promise.reject(Error(`[${name}] uploadToPresigned 需要传入 filePath url！`))
+  }
+
+  const method = (options.method || 'PUT').toUpperCase()
+  const contentType = options.contentType || getMimeType(options.filePath)
+  const onProgressUpdate = utils.isFunction(options.onProgressUpdate) ? options.onProgressUpdate : noop
+
+  // 实例的默认请求头置为 null 不发送，只发送签名需要的请求头
+  const header = {}
+  const defaultHeader = (instance.defaults && instance.defaults.header) || {}
+  utils.each([defaultHeader, defaultHeader.common, defaultHeader[method]], function omitDefaultHeader(source) {
+    utils.each(Object.keys(source || {}), function omitHeader(key) {
+      if (key !== 'common' && !methods.includes(key)) {
+        header[key] = null
+      }
+    })
+  })
+
+  // 预签名地址自带鉴权信息，不使用实例的鉴权、登录态以及秒传
+  const requestConfig = {
+    url: options.url,
+    baseURL: '',
+    header,
+    auth: null,
+    token: null,
+    skipAuth: true,
+    skipSession: true,
+    dedupeByHash: false,
+    timeout: options.timeout,
+    cancelToken: options.cancelToken,
+    signal: options.signal,
+    forcedJSONParsing: false
+  }
+
+  if (method === 'POST') {
+    const fields = Object.assign({}, options.fields)
+    const filePath = options.filePath
+    const contentMD5 = options.contentMD5
+                          ? hashFile(filePath).then(hex => helpers.encodeBase64(helpers.fromHex(hex)))
+                          : Promise.resolve('')
+
+    return contentMD5.then(function uploadForm(md5) {
+      if (md5) {
+        fields['Content-MD5'] = md5
+      }
+      return instance.uploadFile(Object.assign(requestConfig, {
+        filePath,
+        name: options.name || 'file',
+        formData: fields,
+        task: Object.assign({}, options.task, {
+          onProgressUpdate: function onPresignedProgressUpdate(res) {
+            onProgressUpdate(res)
+          }
+        })
+      }))
+    })
+  }
+
+  return getFileSize(options.filePath).then(function readFile(size) {
+    return readFileRange(options.filePath, 0, size).then(function sendFile(data) {
+      setHeaderValue(header, 'content-type', contentType)
+      utils.each(Object.keys(options.headers || {}), function setHeader(key) {
+        setHeaderValue(header, key, options.headers[key])
+      })
+      if (options.contentMD5 !== false) {
+        setHeaderValue(header, 'content-md5', helpers.encodeBase64(new MD5().update(data).digest('bytes')))
+      }
+
+      onProgressUpdate({ progress: 0, totalBytesSent: 0, totalBytesExpectedToSend: size })
+      return instance.request(Object.assign(requestConfig, {
+        method,
+        data,
+        task: options.task
+      })).then(function onUploadResolve(response) {
+        onProgressUpdate({ progress: 100, totalBytesSent: size, totalBytesExpectedToSend: size })
+        return response
+      })
+    })
+  })
+}
+
+
+/** 下载管理 */
+
+/**
+ * 以 Promise 的形式调用运行平台的接口
+ *
+ * @param {String} method 接口名称，如 openDocument
+ * @param {Object} options 接口参数
+ * @returns {Promise} 接口的 success 回调结果
+ */
+function callPlatform(method, options) {
+  return new Promise(function callPlatformMethod(resolve, reject) {
+    const currentPlatform = getPlatform()
+    if (!utils.isFunction(currentPlatform[method])) {
+      throw Error(`[${name}] 当前运行平台不支持 ${method}！`)
+    }
+    currentPlatform[method](Object.assign({}, options, {
+      success: resolve,
+      fail: function onPlatformFail(err) {
+        reject(new AxiosError(`[${name}] ${(err && err.errMsg) || method + ':fail'}！`, AxiosError.ERR_BAD_REQUEST))
+      }
+    }))
+  })
+}
+
+/**
+ * 根据响应头获取文件名
+ * 优先使用 Content-Disposition，其次使用地址中的文件名，根据 Content-Type 补充扩展名
+ *
+ * @param {AxiosHeaders} headers 响应头
+ * @param {String} url 下载地址
+ * @returns {String} 文件名
+ */
+function getDownloadFilename(headers, url) {
+  const disposition = headers.get('content-disposition') || ''
+  let filename = ''
+
+  // filename*=UTF-8''%E6%96%87%E4%BB%B6.pdf
+  const encodedMatch = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(disposition)
+  const plainMatch = /filename\s*=\s*("([^"]*)"|[^;]+)/i.exec(disposition)
+  if (encodedMatch) {
+    try {
+      filename = decodeURIComponent(encodedMatch[2].trim())
+    } catch (e) {
+      filename = encodedMatch[2].trim()
+    }
+  } else if (plainMatch) {
+    filename = (plainMatch[2] !== undefined ? plainMatch[2] : plainMatch[1]).trim()
+    try {
+      filename = decodeURIComponent(filename)
+    } catch (e) {}
+  }
+
+  if (!filename) {
+    const path = (url || '').split(/[?#]/)[0]
+    filename = path.slice(path.lastIndexOf('/') + 1)
+    try {
+      filename = decodeURIComponent(filename)
+    } catch (e) {}
+  }
+
+  // 去掉路径分隔符，避免写入其他目录
+  filename = filename.replace(/[\\/:*?"<>|]/g, '_') || 'download'
+
+  if (filename.indexOf('.') === -1) {
+    const contentType = (headers.get('content-type') || '').split(';')[0].trim().toLowerCase()
+    utils.each(Object.keys(MIME_TYPES), function findExtension(extension) {
+      if (MIME_TYPES[extension] === contentType) {
+        filename += '.' + extension
+        return false
+      }
+    })
+  }
+  return filename
+}
+
+/**
+ * 解析 Content-Range 中的文件总大小
+ *
+ * @param {String} value bytes 0-1023/5000
+ * @returns {Number|undefined} 文件总大小
+ */
+function parseContentRangeTotal(value) {
+  const match = /\/(\d+)\s*$/.exec(value || '')
+  return match ? Number(match[1]) : undefined
+}
+
+/**
+ * 下载任务
+ * 通过 axios.downloads.add 创建，状态为 queued\downloading\paused\completed\failed\canceled
+ *
+ * @param {DownloadManager} manager
+ * @param {Object} state 持久化的任务状态
+ */
+function DownloadTask(manager, state) {
+  this.manager = manager
+  this.id = state.id
+  this.url = state.url
+  this.options = state.options || {}
+  this.status = state.status || 'queued'
+  this.filename = state.filename || ''
+  this.filePath = state.filePath || ''
+  this.etag = state.etag || ''
+  this.receivedBytes = state.receivedBytes || 0
+  this.totalBytes = state.totalBytes || 0
+  this.createdAt = state.createdAt || Date.now()
+  this.error = null
+  this.cancelSource = null
+  this.listeners = { progress: [], settle: [] }
+}
+
+// 持久化的任务状态
+DownloadTask.prototype.toJSON = function toJSON() {
+  return {
+    id: this.id,
+    url: this.url,
+    options: this.options,
+    status: this.status,
+    filename: this.filename,
+    filePath: this.filePath,
+    etag: this.etag,
+    receivedBytes: this.receivedBytes,
+    totalBytes: this.totalBytes,
+    createdAt: this.createdAt
+  }
+}
+
+// 下载进度，字段与 wx.downloadFile 的 onProgressUpdate 一致
+DownloadTask.prototype.getProgress = function getProgress() {
+  return {
+    progress: this.totalBytes ? Math.floor(this.receivedBytes / this.totalBytes * 100) : 0,
+    totalBytesWritten: this.receivedBytes,
+    totalBytesExpectedToWrite: this.totalBytes
+  }
+}
+
+// 监听下载进度
+DownloadTask.prototype.onProgressUpdate = function onProgressUpdate(listener) {
+  this.listeners.progress.push(listener)
+  return this
+}
+
+// 取消监听下载进度
+DownloadTask.prototype.offProgressUpdate = function offProgressUpdate(listener) {
+  this.listeners.progress = this.listeners.progress.filter(item => item !== listener)
+  return this
+}
+
+/**
+ * 等待下载结束
+ * 下载完成时返回任务对象，失败或取消时返回错误，暂停不会结束等待
+ *
+ * @returns {Promise} task
+ */
+DownloadTask.prototype.wait = function wait() {
+  const task = this
+  if (task.status === 'completed') {
+    return Promise.resolve(task)
+  }
+  return new Promise(function waitTask(resolve, reject) {
+    task.listeners.settle.push({ resolve, reject })
+  })
+}
+
+// 结束等待
+DownloadTask.prototype.settle = function settle(err) {
+  const listeners = this.listeners.settle
+  this.listeners.settle = []
+  utils.each(listeners, listener => {
+    if (err) {
+      listener.reject(err)
+    } else {
+      listener.resolve(this)
+    }
+  })
+}
+
+// 暂停下载，中断当前的分段请求，已写入的数据保留
+DownloadTask.prototype.pause = function pause() {
+  if (this.status !== 'queued' && this.status !== 'downloading') {
+    return this
+  }
+  this.status = 'paused'
+  if (this.cancelSource) {
+    this.cancelSource.cancel(`[${name}] 下载已暂停！`)
+  }
+  this.manager.save()
+  this.manager.next()
+  return this
+}
+
+// 继续下载，从已写入的位置开始
+DownloadTask.prototype.resume = function resume() {
+  if (this.status !== 'paused' && this.status !== 'failed') {
+    return this
+  }
+  this.status = 'queued'
+  this.error = null
+  this.manager.save()
+  this.manager.next()
+  return this
+}
+
+// 取消下载并删除文件
+DownloadTask.prototype.cancel = function cancel() {
+  if (this.cancelSource) {
+    this.cancelSource.cancel(`[${name}] 下载已取消！`)
+  }
+  this.status = 'canceled'
+  this.manager.remove(this.id)
+  this.settle(new CanceledError(`[${name}] 下载已取消！`))
+  return this
+}
+
+// 使用 wx.openDocument 打开文档
+DownloadTask.prototype.open = function open(options) {
+  return callPlatform('openDocument', Object.assign({ filePath: this.filePath, showMenu: true }, options))
+}
+
+// 保存文件，wx.saveFile 只接受临时文件，下载的文件已经保存在 USER_DATA_PATH 下，直接返回当前路径
+DownloadTask.prototype.saveFile = function saveFile() {
+  if (this.status !== 'completed') {
+    return Promise.reject(Error(`[${name}] 文件尚未下载完成！`))
+  }
+  return Promise.resolve({ savedFilePath: this.filePath })
+}
+
+// 使用 wx.saveImageToPhotosAlbum\wx.saveVideoToPhotosAlbum 保存到相册
+DownloadTask.prototype.saveToAlbum = function saveToAlbum() {
+  const isVideo = getMimeType(this.filename).indexOf('video/') === 0
+  return callPlatform(isVideo ? 'saveVideoToPhotosAlbum' : 'saveImageToPhotosAlbum', { filePath: this.filePath })
+}
+
+/**
+ * 下载管理
+ * 通过 wx.request 分段请求（Range）下载，写入 FileSystemManager，支持暂停、继续
+ * 任务状态持久化到本地存储，小程序重启后恢复为暂停状态
+ */
+function DownloadManager() {
+  this.name = name + ':downloads'
+  this.options = utils.merge(DEFAULT_DOWNLOADS)
+  this.tasks = null
+}
+
+/**
+ * 设置下载管理
+ *
+ * @param {Object} options 参考 DEFAULT_DOWNLOADS
+ * @param {Object} options.instance 发起请求使用的 Axios 实例，默认使用 axios
+ */
+DownloadManager.prototype.configure = function configure(options) {
+  const instance = options && options.instance
+  this.options = utils.merge(this.options, options || {})
+  // Axios 实例不是普通对象，merge 时需要单独处理
+  if (instance) {
+    this.options.instance = instance
+  }
+  this.next()
+}
+
+// 从本地存储恢复任务，未完成的任务恢复为暂停状态
+DownloadManager.prototype.load = function load() {
+  if (this.tasks) {
+    return this.tasks
+  }
+  const manager = this
+  const states = getPlatform().storage.getItem(this.name) || []
+  this.tasks = states.map(function restoreTask(state) {
+    const task = new DownloadTask(manager, state)
+    if (task.status === 'queued' || task.status === 'downloading') {
+      task.status = 'paused'
+    }
+    return task
+  })
+  return this.tasks
+}
+
+// 保存任务状态
+DownloadManager.prototype.save = function save() {
+  getPlatform().storage.setItem(this.name, this.load().map(task => task.toJSON()))
+}
+
+// 所有任务
+DownloadManager.prototype.list = function list() {
+  return this.load().slice()
+}
+
+// 根据 id 获取任务
+DownloadManager.prototype.get = function get(id) {
+  return this.load().find(task => task.id === id)
+}
+
+/**
+ * 添加下载任务
+ *
+ * @param {String} url 下载地址
+ * @param {Object} options
+ * @param {String} options.filename 文件名，默认根据响应头获取
+ * @param {Object} options.header 额外的请求头
+ * @param {Function} options.onProgressUpdate 下载进度回调
+ * @returns {DownloadTask}
+ */
+DownloadManager.prototype.add = function add(url, options) {
+  options = options || {}
+
+  const task = new DownloadTask(this, {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+    url,
+    // 只持久化可序列化的配置
+    options: { filename: options.filename, header: options.header }
+  })
+  if (utils.isFunction(options.onProgressUpdate)) {
+    task.onProgressUpdate(options.onProgressUpdate)
+  }
+  this.load().push(task)
+  this.save()
+  this.next()
+  return task
+}
+
+/**
+ * 删除任务以及已下载的文件
+ *
+ * @param {String} id 任务 id
+ */
+DownloadManager.prototype.remove = function remove(id) {
+  const task = this.get(id)
+  if (!task) {
+    return undefined
+  }
+  if (task.status === 'downloading' || task.status === 'queued') {
+    task.cancel()
+    return undefined
+  }
+  this.tasks = this.load().filter(item => item !== task)
+  this.save()
+  if (task.filePath) {
+    callFileSystem('unlink', { filePath: task.filePath }).catch(noop)
+  }
+  this.next()
+}
+
+// 暂停所有任务
+DownloadManager.prototype.pauseAll = function pauseAll() {
+  utils.each(this.list(), task => { task.pause() })
+}
+
+// 继续所有暂停、失败的任务
+DownloadManager.prototype.resumeAll = function resumeAll() {
+  utils.each(this.list(), task => { task.resume() })
+}
+
+// 按并发数开始排队中的任务
+DownloadManager.prototype.next = function next() {
+  const tasks = this.load()
+  let running = tasks.filter(task => task.status === 'downloading').length
+  utils.each(tasks, task => {
+    if (running >= this.options.concurrency) {
+      return false
+    }
+    if (task.status === 'queued') {
+      running++
+      this.run(task)
+    }
+  })
+}
+
+/**
+ * 分段下载，每段下载完成后追加到文件中
+ *
+ * @param {DownloadTask} task
+ */
+DownloadManager.prototype.run = function run(task) {
+  const manager = this
+  const options = this.options
+  const instance = options.instance || axios
+
+  task.status = 'downloading'
+  manager.save()
+
+  function finish(err) {
+    task.cancelSource = null
+    if (err) {
+      // 暂停、取消时中断的请求不作为失败处理
+      if (task.status !== 'downloading') {
+        return undefined
+      }
+      task.status = 'failed'
+      task.error = err
+    } else {
+      task.status = 'completed'
+    }
+    manager.save()
+    task.settle(err)
+    manager.next()
+  }
+
+  function emitProgress() {
+    const progress = task.getProgress()
+    utils.each(task.listeners.progress.slice(), listener => { listener(progress, task) })
+  }
+
+  // 首段确定文件名后创建文件
+  function prepareFile(response) {
+    task.filename = task.options.filename || getDownloadFilename(response.headers, task.url)
+    const dirPath = getUserDataPath() + '/' + options.directory + '/' + task.id
+    task.filePath = dirPath + '/' + task.filename
+    return callFileSystem('mkdir', { dirPath, recursive: true }).catch(noop)
+  }
+
+  function downloadSegment() {
+    if (task.status !== 'downloading') {
+      return undefined
+    }
+
+    const start = task.receivedBytes
+    if (task.totalBytes && start >= task.totalBytes) {
+      return finish()
+    }
+    const end = start + options.segmentSize - 1
+    const header = Object.assign({}, task.options.header, { Range: 'bytes=' + start + '-' + end })
+    // 文件变化时服务端返回完整内容
+    if (start > 0 && task.etag) {
+      header['If-Range'] = task.etag
+    }
+
+    // 暂停后立即继续时，被中断的请求不再处理，避免影响新的下载
+    const cancelSource = CancelToken.source()
+    task.cancelSource = cancelSource
+    instance.request({
+      url: task.url,
+      method: 'GET',
+      header,
+      responseType: 'arraybuffer',
+      forcedJSONParsing: false,
+      cache: false,
+      dedupe: false,
+      cancelToken: cancelSource.token,
+      validateStatus: status => status === 200 || status === 206 || status === 416
+    }).then(function onSegmentResolve(response) {
+      if (task.status !== 'downloading' || task.cancelSource !== cancelSource) {
+        return undefined
+      }
+
+      // 请求范围超出文件大小，说明已经下载完成
+      if (response.status === 416) {
+        if (start > 0 && start >= parseContentRangeTotal(response.headers.get('content-range'))) {
+          return finish()
+        }
+        throw new AxiosError(`[${name}] 下载失败，请求范围无效！`, AxiosError.ERR_BAD_RESPONSE, response.config, response.request, response)
+      }
+
+      const data = response.data
+      // 200 表示服务端不支持 Range 或文件已变化，重新写入完整内容
+      const isFull = response.status === 200
+      const isFirst = isFull || start === 0
+      const write = isFirst
+                      ? prepareFile(response).then(() => callFileSystem('writeFile', { filePath: task.filePath, data }))
+                      : callFileSystem('appendFile', { filePath: task.filePath, data })
+
+      return write.then(function onSegmentWritten() {
+        const byteLength = data ? data.byteLength || 0 : 0
+        if (isFirst) {
+          task.etag = response.headers.get('etag') || ''
+        }
+        task.receivedBytes = isFull ? byteLength : start + byteLength
+        task.totalBytes = isFull ? byteLength : (parseContentRangeTotal(response.headers.get('content-range')) || task.receivedBytes)
+        manager.save()
+        emitProgress()
 
-  function sendRequest(url, header) {
-    return new Promise(function sendWXConnectSocket(resolve, reject) {
-      // 发起请求
-      const request = wx.connectSocket
-      const requestTask = request({
-        url,
-        header,
-        protocols: config.protocols,
-        tcpNoDelay: config.tcpNoDelay || false,
-        perMessageDeflate: config.perMessageDeflate || false,
-        timeout: config.timeout,
-        success: res => { adapterCallbackSettle(resolve, res) },
-        fail: err => { adapterCallbackSettle(reject, err) },
-        complete: () => { adapterCallbackSettle() },
+        if (isFull || task.receivedBytes >= task.totalBytes || byteLength === 0) {
+          return finish()
+        }
+        return downloadSegment()
       })
-      // 请求任务
-      if (config.task) {
-        adapterTaskSettle(requestTask, config.task, config)
+    }).catch(function onSegmentReject(err) {
+      if (task.cancelSource === cancelSource) {
+        finish(err)
       }
     })
   }
 
-  const connectSocketAdapterHandler = adapterDecorator(sendRequest, setFullPathURL, setAuthorizationHeader)
-
-  return connectSocketAdapterHandler(config)
+  downloadSegment()
 }
 
+// 所有 Axios 实例共用同一个下载管理
+const downloadManager = new DownloadManager()
+
+
+/** 文件缓存 */
+
 /**
- * 设置 URL 完整路径
+ * 获取 Cache-Control 中的 max-age（毫秒）
  *
- * @param {Object} config 配置对象
+ * @param {String} value Cache-Control
+ * @returns {Number|undefined}
  */
-function setFullPathURL(config) {
-  let fullPath = config.baseURL
-  if (config.params && config.url) {
-    config.url = helpers.buildPathParam(config.url, config.params)
-  }
-  if (config.url) {
-    fullPath = helpers.buildFullPath(config.baseURL, config.url)
-  }
-  return fullPath
+function parseMaxAge(value) {
+  const match = /max-age\s*=\s*(\d+)/i.exec(value || '')
+  return match ? Number(match[1]) * 1000 : undefined
 }
 
 /**
- * 设置 header.Authorization 参数
- *
- * @param {Object} config 配置对象
+ * 文件缓存
+ * 通过 wx.downloadFile 下载文件到 USER_DATA_PATH，索引保存在本地存储中：url => { path, size, etag, expires, lastUsed }
+ * 超出 maxBytes 时删除最久未使用的文件，过期后通过 If-None-Match 重新验证
  */
-function setAuthorizationHeader(config) {
-  let requestHeader = config.header || {}
-  if (config.auth || config.token) {
-    const getAuthorization = function(config) {
-      let authorization = ''
-      // 处理 HTTP Basic Auth
-      if (config.auth) {
-        const username = config.auth.username || ''
-        const password = config.auth.password ? unescape(encodeURIComponent(config.auth.password)) : ''
-        authorization = 'Basic ' + utils.base64Encode(username + ':' + password)
-      }
-      // 处理 HTTP Bearer Token
-      if (config.token) {
-        authorization = 'Bearer ' + config.token
-      }
-      return authorization
-    }
-    requestHeader.Authorization = getAuthorization(config)
-  }
-  return requestHeader
+function FileCache() {
+  this.name = name + ':files'
+  this.options = utils.merge(DEFAULT_FILE_CACHE)
+  this.index = null
+  // 下载中的文件，同一地址共用一次下载
+  this.pending = {}
 }
 
 /**
- * 请求适配器调用成功、失败、完成后的回调事件
+ * 设置文件缓存
+ *
+ * @param {Object} options 参考 DEFAULT_FILE_CACHE
+ * @param {Object} options.instance 发起请求使用的 Axios 实例，默认使用 axios
  */
-function adapterCallbackSettle() {
-  arguments.length < 2
-    ? noop()
-    : utils.isFunction(arguments[0])
-        ? arrProto.shift.call(arguments).call(this, arrProto.shift.call(arguments) || {})
-        : noop()
+FileCache.prototype.configure = function configure(options) {
+  const instance = options && options.instance
+  this.options = utils.merge(this.options, options || {})
+  // Axios 实例不是普通对象，merge 时需要单独处理
+  if (instance) {
+    this.options.instance = instance
+  }
+  this.evict()
+}
+
+// 读取索引
+FileCache.prototype.load = function load() {
+  if (!this.index) {
+    this.index = getPlatform().storage.getItem(this.name) || {}
+  }
+  return this.index
+}
+
+// 保存索引
+FileCache.prototype.save = function save() {
+  getPlatform().storage.setItem(this.name, this.load())
 }
 
 /**
- * 请求适配器任务处理
- * @param {Object} requestTask 请求任务对象
- * @param {Object} configTask 配置任务对象
- * @param {Object} config 配置对象
+ * 获取缓存文件的本地路径，没有缓存时下载
+ *
+ * @param {String} url 文件地址
+ * @param {Object} options
+ * @param {Number} options.ttl 缓存有效期，响应头包含 Cache-Control: max-age 时优先使用
+ * @param {Object} options.header 额外的请求头
+ * @param {Boolean} options.force 忽略有效期，重新验证
+ * @returns {Promise} 本地文件路径
  */
-function adapterTaskSettle(requestTask, configTask, config) {
-  if (!requestTask) {
-    return undefined
+FileCache.prototype.get = function get(url, options) {
+  options = options || {}
+
+  const cache = this
+  const entry = this.load()[url]
+
+  if (entry && !options.force && entry.expires > Date.now()) {
+    // 文件可能已被清理，不存在时重新下载
+    return callFileSystem('access', { path: entry.path }).then(function onAccess() {
+      entry.lastUsed = Date.now()
+      cache.save()
+      return entry.path
+    }, function onAccessFail() {
+      cache.remove(url)
+      return cache.get(url, options)
+    })
   }
 
-  if (!utils.isPlainObject(configTask)) {
-    configTask = {}
+  if (!this.pending[url]) {
+    // 没有用户文件目录时 download 同步报错，统一以 Promise 的形式返回
+    this.pending[url] = Promise.resolve().then(() => this.download(url, entry, options)).then(function onDownloaded(path) {
+      delete cache.pending[url]
+      return path
+    }, function onDownloadFail(err) {
+      delete cache.pending[url]
+      throw err
+    })
   }
+  return this.pending[url]
+}
 
-  function localPrint(c, k, r) {
-    if (c && c.openLocalPrinter) {
-      c.printManager.printTask(c, k, r)
-    }
+/**
+ * 下载或重新验证文件
+ *
+ * @param {String} url 文件地址
+ * @param {Object} entry 已过期的缓存
+ * @param {Object} options 参考 get
+ * @returns {Promise} 本地文件路径
+ */
+FileCache.prototype.download = function download(url, entry, options) {
+  const cache = this
+  const instance = this.options.instance || axios
+  const dirPath = getUserDataPath() + '/' + this.options.directory
+  const key = new MD5().update(url).digest('hex')
+  const tempPath = dirPath + '/' + key + '.download'
+  const header = Object.assign({}, options.header)
+  if (entry && entry.etag) {
+    header['If-None-Match'] = entry.etag
   }
 
-  // abort 属于 wx.request\wx.uploadFile\wx.downloadFile 任务对象
-  // close\send 属于 wx.connectSocket 任务对象
-  const legalTasks = ['abort', 'close', 'send']
-  // onProgressUpdate\offProgressUpdate 属于 wx.uploadFile\wx.downloadFile 任务对象回调
-  // onHeadersReceived\offHeadersReceived 属于 wx.request\wx.uploadFile\wx.downloadFile 任务对象回调
-  // onChunkReceived\offChunkReceived 属于 wx.request 任务对象回调
-  // onOpen\onMessage\onError\onClose 属于 wx.connectSocket 任务对象回调
-  const legalCallbackTasks = ['onProgressUpdate', 'offProgressUpdate', 'onHeadersReceived', 'offHeadersReceived', 'onChunkReceived', 'offChunkReceived', 'onOpen', 'onMessage', 'onError', 'onClose']
+  return callFileSystem('mkdir', { dirPath, recursive: true }).catch(noop).then(function sendDownload() {
+    return instance.downloadFile({
+      url,
+      filePath: tempPath,
+      header,
+      dedupe: false,
+      validateStatus: status => (status >= 200 && status < 300) || (status === 304 && !!entry)
+    })
+  }).then(function onDownloadResolve(response) {
+    const ttl = parseMaxAge(response.headers.get('cache-control'))
+    const expires = Date.now() + (ttl !== undefined ? ttl : (options.ttl !== undefined ? options.ttl : cache.options.ttl))
+
+    // 文件未变化，延长有效期
+    if (response.status === 304) {
+      callFileSystem('unlink', { filePath: tempPath }).catch(noop)
+      entry.expires = expires
+      entry.lastUsed = Date.now()
+      cache.save()
+      return entry.path
+    }
 
-  utils.each(configTask, function setRequestTask(value, key) {
-    if (utils.isFunction(value) && configTask[key]) {
-      if (legalCallbackTasks.includes(key)) {
-        requestTask[key](function requestTaskCallback(res) {
-          configTask[key].apply(this, [res, requestTask])
-          localPrint(config, key, res)
-        })
-      } else {
-        configTask[key].call(this, requestTask)
+    // 地址中没有扩展名时根据 Content-Type 补充
+    const filename = getDownloadFilename(response.headers, url)
+    const path = dirPath + '/' + key + (filename.indexOf('.') === -1 ? '' : filename.slice(filename.lastIndexOf('.')))
+    return callFileSystem('rename', { oldPath: tempPath, newPath: path }).then(function onRename() {
+      return getFileSize(path)
+    }).then(function onFileSize(size) {
+      // 扩展名变化时删除旧文件
+      if (entry && entry.path !== path) {
+        callFileSystem('unlink', { filePath: entry.path }).catch(noop)
+      }
+      cache.load()[url] = {
+        path,
+        size,
+        etag: response.headers.get('etag') || '',
+        expires,
+        lastUsed: Date.now()
       }
+      cache.evict(url)
+      cache.save()
+      return path
+    })
+  }).catch(function onDownloadReject(err) {
+    callFileSystem('unlink', { filePath: tempPath }).catch(noop)
+    // 网络错误时继续使用已过期的文件
+    if (entry && !err.response) {
+      return entry.path
     }
+    throw err
   })
 }
 
 /**
- * 获取适配器
+ * 超出 maxBytes 时删除最久未使用的文件
  *
- * @param {Object} config 配置对象
+ * @param {String} keepUrl 不删除的地址，通常为刚下载的文件
  */
-function getDefaultAdapter(config) {
-  if (!config) {
-    throw Error(nonConfigError)
-  }
+FileCache.prototype.evict = function evict(keepUrl) {
+  const index = this.load()
+  const urls = Object.keys(index).sort((a, b) => index[a].lastUsed - index[b].lastUsed)
+  let size = urls.reduce((total, url) => total + index[url].size, 0)
 
-  let adapter
-  let adapterName
-  // 使用 wx.uploadFile\wx.downloadFile\wx.connectSocket 特有的参数字段进行判断
-  // 如果config有 name、filePath 属性，则认为当前使用了 wx.uploadFile 接口
-  // 如果config只有 filePath 属性，则认为当前使用了 wx.downloadFile 接口
-  // 如果config只有 protocols 属性，则认为当前使用了 wx.connectSocket 接口
-  // 如果config没有 name、filePath、protocols 属性，则认为当前使用了 wx.request 接口
-  if (config.name && config.filePath) {
-    adapter = uploadFileAdapter
-    adapterName = 'wx.uploadFile'
-  } else if (!config.name && objProto.hasOwnProperty.call(config, 'filePath')) {
-    adapter = downloadFileAdapter
-    adapterName = 'wx.downloadFile'
-  } else if (objProto.hasOwnProperty.call(config, 'protocols')) {
-    adapter = connectSocketAdapter
-    adapterName = 'wx.connectSocket'
-  } else {
-    adapter = requestAdapter
-    adapterName = 'wx.request'
+  utils.each(urls, url => {
+    if (size <= this.options.maxBytes) {
+      return false
+    }
+    if (url !== keepUrl) {
+      size -= index[url].size
+      this.remove(url)
+    }
+  })
+}
+
+/**
+ * 删除缓存文件
+ *
+ * @param {String} url 文件地址
+ */
+FileCache.prototype.remove = function remove(url) {
+  const index = this.load()
+  const entry = index[url]
+  if (!entry) {
+    return undefined
   }
-  return { adapter, adapterName }
+  delete index[url]
+  this.save()
+  callFileSystem('unlink', { filePath: entry.path }).catch(noop)
 }
 
+// 清空缓存
+FileCache.prototype.clear = function clear() {
+  utils.each(Object.keys(this.load()), url => { this.remove(url) })
+}
 
-/** 默认配置 */
+/**
+ * 缓存信息
+ *
+ * @returns {Object} { count, size, maxBytes }
+ */
+FileCache.prototype.getInfo = function getInfo() {
+  const index = this.load()
+  const urls = Object.keys(index)
+  return {
+    count: urls.length,
+    size: urls.reduce((total, url) => total + index[url].size, 0),
+    maxBytes: this.options.maxBytes
+  }
+}
 
-const defaults = {
-  // 使用单例模式进行实例化
-  // 在单例模式下，类仅有一个实例，实例化时传入的参数也只会在第一次生效
-  useSingleton: true,
+// 所有 Axios 实例共用同一个文件缓存
+const fileCache = new FileCache()
 
-  // 配置适配器，兼容 wx.reqeust\wx.uploadFile\wx.downloadFile 请求
-  adapter: getDefaultAdapter,
 
-  // 超时时间
-  timeout: 0,
+/** 流式响应 */
 
-  // 设置请求的 header
-  header: {
-    common: DEFAULT_HEADER
-  },
+/**
+ * UTF-8 流式解码
+ * 数据块末尾不完整的多字节字符会保留到下一次解码
+ */
+function UTF8Decoder() {
+  this.pending = new Uint8Array(0)
+}
 
-  // 响应数据强制转化为json格式
-  forcedJSONParsing: true,
+/**
+ * 解码
+ *
+ * @param {ArrayBuffer|Uint8Array} data 数据块
+ * @param {Object} options
+ * @param {Boolean} options.stream 后续还有数据，为 false 时解码全部剩余字节
+ * @returns {String}
+ */
+UTF8Decoder.prototype.decode = function decode(data, options) {
+  let bytes = helpers.toUint8Array(data || new Uint8Array(0))
+  if (this.pending.length) {
+    const merged = new Uint8Array(this.pending.length + bytes.length)
+    merged.set(this.pending)
+    merged.set(bytes, this.pending.length)
+    bytes = merged
+  }
 
-  // 本地打印
-  openLocalPrinter: !isRelease,
-  printManager: !isRelease ? new PrintManager('log') : undefined,
+  let end = bytes.length
+  if (options && options.stream) {
+    // 从末尾向前查找最后一个字符的首字节，字节数不足时留到下一次解码
+    for (let i = bytes.length - 1; i >= 0 && i >= bytes.length - 3; i--) {
+      if ((bytes[i] & 0xc0) === 0x80) {
+        continue
+      }
+      const size = bytes[i] >= 0xf0 ? 4 : bytes[i] >= 0xe0 ? 3 : bytes[i] >= 0xc0 ? 2 : 1
+      if (i + size > bytes.length) {
+        end = i
+      }
+      break
+    }
+  }
 
-  // 本地日志
-  openLocalLogger: !isRelease,
-  logManager: !isRelease ? new LogManager() : undefined,
+  this.pending = bytes.slice(end)
+  return helpers.decodeUTF8(bytes.subarray(0, end))
+}
 
-  // 定义对于给定的HTTP 响应状态码是 resolve 或 reject  promise
-  validateStatus: function validateStatus(status) {
-    return status >= 200 && status < 300
+/**
+ * 创建异步迭代器，支持 for await
+ *
+ * @param {Function} next 返回 Promise<{ value, done }>
+ * @param {Function} onReturn 提前结束迭代时调用
+ * @returns {Object} iterator
+ */
+function createAsyncIterator(next, onReturn) {
+  const iterator = {
+    next,
+    return: function iteratorReturn(value) {
+      onReturn()
+      return Promise.resolve({ value, done: true })
+    }
+  }
+  if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function getIterator() {
+      return iterator
+    }
   }
+  return iterator
 }
 
-// 根据请求方法设置默认header
-utils.each(methods, function setMethodHeader(method){
-  defaults.header[method] = DEFAULT_HEADER
-})
-
-
-/** 本地打印、日志缓存 */
-
 /**
- * 打印管理
+ * 流式响应
+ * 通过 wx.request 的 enableChunked 分块接收数据，数据块先缓存在内存中，读取时依次返回
+ * 只能被一个迭代器读取
+ *
+ * @example
+ *
+ * const stream = axios.stream({ url: '/chat', method: 'POST', data })
+ * for await (const text of stream) {}
+ * for await (const line of stream.lines()) {}
+ * for await (const message of stream.ndjson()) {}
  */
-function PrintManager(level) {
-  this.name = name
-  this.level = level || 'log'
-  this.print = root.console[this.level]
+function ResponseStream() {
+  // 未读取的数据块
+  this.chunks = []
+  // 等待数据块的读取
+  this.readers = []
+  this.done = false
+  this.error = null
+  this.receivedBytes = 0
+  this.status = 0
+  this.headers = new AxiosHeaders()
+  this.requestTask = null
+  // 请求结束后的响应结果
+  this.response = null
 }
 
-PrintManager.prototype.header = function head(color='#67c23a') {
-  this.print(`%c[${this.name}]↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓`, `color: ${color}`)
+/**
+ * 写入数据块
+ *
+ * @param {ArrayBuffer|Uint8Array|String} data
+ */
+ResponseStream.prototype.push = function push(data) {
+  if (this.done) {
+    return undefined
+  }
+  const bytes = helpers.toUint8Array(data)
+  if (!bytes.length) {
+    return undefined
+  }
+  this.receivedBytes += bytes.length
+  if (this.readers.length) {
+    this.readers.shift().resolve({ value: bytes, done: false })
+  } else {
+    this.chunks.push(bytes)
+  }
 }
 
-PrintManager.prototype.footer = function head(color='#67c23a') {
-  this.print('%c↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑↑', `color: ${color}`)
+// 数据接收完成
+ResponseStream.prototype.end = function end() {
+  if (this.done) {
+    return undefined
+  }
+  this.done = true
+  utils.each(this.readers.splice(0), reader => { reader.resolve({ value: undefined, done: true }) })
 }
 
-PrintManager.prototype.time = function time() {
-  return new Date().toLocaleDateString() + ' ' + new Date().toLocaleTimeString()
+// 请求失败，读取时抛出错误
+ResponseStream.prototype.fail = function fail(err) {
+  if (this.done) {
+    return undefined
+  }
+  this.done = true
+  this.error = err
+  utils.each(this.readers.splice(0), reader => { reader.reject(err) })
 }
 
-// 打印请求
-PrintManager.prototype.printRequest = function printRequest(config, response) {
-  if (!config) {
-    return undefined
+// 中断请求
+ResponseStream.prototype.abort = function abort() {
+  if (!this.done && this.requestTask && utils.isFunction(this.requestTask.abort)) {
+    this.requestTask.abort()
   }
+}
 
-  const { print } = this
-  this.header()
-  if (response && response.statusCode && !config.validateStatus(response.statusCode)) {
-    print(`%cstatusCode：${response.statusCode}`, 'color: #fa5151;font-size:21px;')
+/**
+ * 读取下一个数据块
+ *
+ * @returns {Promise} { value: Uint8Array, done }
+ */
+ResponseStream.prototype.read = function read() {
+  if (this.chunks.length) {
+    return Promise.resolve({ value: this.chunks.shift(), done: false })
   }
-  print('=> 请求路径：', config.url || config.baseURL)
-  if (config.method) {
-    print('=> 请求方式：', config.method)
+  if (this.error) {
+    return Promise.reject(this.error)
   }
-  print('=> 配置参数：', config || {})
-  if (Object.keys(config.data).length > 0) {
-    print('=> 请求参数：', config.data || {})
+  if (this.done) {
+    return Promise.resolve({ value: undefined, done: true })
+  }
+  return new Promise((resolve, reject) => {
+    this.readers.push({ resolve, reject })
+  })
+}
+
+// 迭代原始数据块 Uint8Array
+ResponseStream.prototype.bytes = function bytes() {
+  return createAsyncIterator(() => this.read(), () => this.abort())
+}
+
+// 迭代 UTF-8 解码后的文本
+ResponseStream.prototype.text = function text() {
+  const stream = this
+  const decoder = new UTF8Decoder()
+  let finished = false
+
+  function next() {
+    if (finished) {
+      return Promise.resolve({ value: undefined, done: true })
+    }
+    return stream.read().then(function onRead(result) {
+      if (result.done) {
+        finished = true
+        // 剩余不完整的字节
+        const rest = decoder.decode()
+        return rest ? { value: rest, done: false } : result
+      }
+      const value = decoder.decode(result.value, { stream: true })
+      return value ? { value, done: false } : next()
+    })
+  }
+
+  return createAsyncIterator(next, () => stream.abort())
+}
+
+// 按行迭代，支持 \n 与 \r\n
+ResponseStream.prototype.lines = function lines() {
+  const stream = this
+  const texts = this.text()
+  const lines = []
+  let buffer = ''
+  let finished = false
+
+  function next() {
+    if (lines.length) {
+      return Promise.resolve({ value: lines.shift(), done: false })
+    }
+    if (finished) {
+      return Promise.resolve({ value: undefined, done: true })
+    }
+    return texts.next().then(function onText(result) {
+      if (result.done) {
+        finished = true
+        if (buffer) {
+          lines.push(buffer)
+          buffer = ''
+        }
+      } else {
+        const parts = (buffer + result.value).split(/\r?\n/)
+        buffer = parts.pop()
+        arrProto.push.apply(lines, parts)
+      }
+      return next()
+    })
   }
-  print('=> 响应结果：', response || {})
-  print('=> 打印时间：', this.time())
-  this.footer()
+
+  return createAsyncIterator(next, () => stream.abort())
 }
 
-// 打印请求任务
-PrintManager.prototype.printTask = function printTask(config, key, response) {
-  if (!config || !key) {
-    return undefined
+// 按行解析 JSON（NDJSON），忽略空行
+ResponseStream.prototype.ndjson = function ndjson() {
+  const stream = this
+  const lines = this.lines()
+
+  function next() {
+    return lines.next().then(function onLine(result) {
+      if (result.done) {
+        return result
+      }
+      if (!result.value.trim()) {
+        return next()
+      }
+      try {
+        return { value: JSON.parse(result.value), done: false }
+      } catch (err) {
+        stream.abort()
+        throw new AxiosError(`[${name}] ${err.message}`, AxiosError.ERR_PARSE)
+      }
+    })
   }
 
-  const { print } = this
-  this.header('#e6a23c')
-  print('=> 监听事件：', key)
-  print('=> 请求路径：', config.url || config.baseURL)
-  print('=> 配置参数：', config || {})
-  if (Object.keys(config.data).length > 0) {
-    print('=> 请求参数：', config.data || {})
+  return createAsyncIterator(next, () => stream.abort())
+}
+
+// for await 默认迭代解码后的文本
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+  ResponseStream.prototype[Symbol.asyncIterator] = function getIterator() {
+    return this.text()
   }
-  print('=> 回调结果：', response || {})
-  print('=> 打印时间：', this.time())
-  this.footer('#e6a23c')
+}
+
+// 日志中只记录数据流的状态
+ResponseStream.prototype.toJSON = function toJSON() {
+  return { receivedBytes: this.receivedBytes, done: this.done }
 }
 
 /**
- * 日志管理
+ * 发起流式请求
+ * 立即返回数据流，请求结束后数据流结束，请求失败时读取数据流会抛出错误
+ *
+ * @param {Axios} instance Axios 实例
+ * @param {Object} config 配置对象
+ * @returns {ResponseStream} stream.response 为请求结束后的响应结果
  */
-function LogManager() {
-  this.name = name
+function stream(instance, config) {
+  const responseStream = new ResponseStream()
+
+  // 已经读取的数据无法撤回，流式请求不重试、不去重、不缓存
+  responseStream.response = instance.request(helpers.mergeConfig(config || {}, {
+    responseType: 'stream',
+    stream: responseStream,
+    retry: 0,
+    dedupe: false,
+    cache: false,
+    offlineQueue: false
+  })).then(function onStreamResolve(response) {
+    // 模拟请求等非分块返回的数据，一次性写入
+    if (response.data !== responseStream && !responseStream.receivedBytes && response.data) {
+      const data = response.data
+      responseStream.push(utils.isPlainObject(data) || Array.isArray(data) ? JSON.stringify(data) : data)
+    }
+    responseStream.end()
+    return response
+  }, function onStreamReject(err) {
+    responseStream.fail(err)
+    throw err
+  })
+  // 通过数据流读取时，错误由迭代器抛出
+  responseStream.response.catch(noop)
+
+  return responseStream
 }
 
-LogManager.prototype.set = function set(config, response) {
-  if (!config) return undefined
 
-  let logs = this.get() || []
-  if (logs.length > MAX_LOG_DAY - 1) {
-    logs = this.popleft()
+/** 请求重试 */
+
+/**
+ * 获取重试配置
+ * retry 可以传入重试次数，也可以传入配置对象
+ *
+ * @param {Object} config 配置对象
+ * @returns {Object} 重试配置
+ *
+ * @example
+ *
+ * { retry: 3 }
+ * { retry: { retries: 3, baseDelay: 500, methods: ['GET', 'POST'] } }
+ */
+function getRetryConfig(config) {
+  const retry = config.retry
+  if (typeof retry === 'number') {
+    return utils.merge(DEFAULT_RETRY, { retries: retry })
+  }
+  if (utils.isPlainObject(retry)) {
+    return utils.merge(DEFAULT_RETRY, retry)
   }
+  return utils.merge(DEFAULT_RETRY)
+}
 
-  const finalValue = config.adapterName + ',' + response.statusCode + ',' + config.method + ',' + config.baseURL + config.url + ',' + Date.now() + ',' + new Date().toLocaleTimeString()
+/**
+ * 判断请求是否需要重试
+ *
+ * @param {Object} retry 重试配置
+ * @param {Object} config 当前尝试的配置对象
+ * @param {AxiosError} error 错误信息
+ * @param {Number} attempt 当前尝试次数
+ * @returns {Boolean} true or false
+ */
+function shouldRetryRequest(retry, config, error, attempt) {
+  if (attempt > retry.retries || isCancel(error)) {
+    return false
+  }
 
-  const date = (new Date().toLocaleDateString()).replace(reNotNumber, '')
-  let index = -1
-  utils.each(logs, function handleLog(log, idx) {
-    if (log.date === date) {
-      index = idx
-      return false
-    }
+  // 默认只重试幂等的请求方法
+  const retryMethods = (retry.methods || []).map(function upperCase(method) {
+    return (method + '').toUpperCase()
   })
-  if (index !== -1) {
-    logs[index].logs.push(finalValue)
-    if (logs[index].logs.length > MAX_LOG_COUNTS) {
-      logs[index].logs.shift()
-    }
-  } else {
-    logs.push({
-      date: date,
-      logs: [finalValue],
-    })
+  if (!retryMethods.includes(config.method)) {
+    return false
   }
 
-  try {
-    wx.setStorageSync(this.name, logs)
-  } catch (e) {
-    if (length > 1) {
-      logs.slice(0, -1)
-      try {
-        wx.setStorageSync(this.name, logs)
-      } catch (e) {}
-    }
+  if (utils.isFunction(retry.shouldRetry)) {
+    return !!retry.shouldRetry(error, attempt)
   }
-}
 
-LogManager.prototype.get = function get() {
-  try {
-    const value = wx.getStorageSync(this.name)
-    return value
-  } catch (e) {}
+  // 数据解析失败时重试没有意义
+  if (error && error.code === AxiosError.ERR_PARSE) {
+    return false
+  }
+
+  const response = error && error.response
+  if (response) {
+    return retry.statusCodes.includes(response.status)
+  }
+
+  const errMsg = (error && error.errMsg) || ''
+  return retry.errMsgPatterns.some(function matchErrMsg(pattern) {
+    return utils.isString(pattern) ? errMsg.includes(pattern) : pattern.test(errMsg)
+  })
 }
 
-// 弹出第一条记录
-LogManager.prototype.popleft = function popleft() {
-  const logs = this.get()
-  let result = []
+/**
+ * 计算下一次重试前的等待时间
+ * 429、503 响应优先使用 Retry-After，否则使用指数退避
+ *
+ * @param {Object} retry 重试配置
+ * @param {Object} error 错误信息
+ * @param {Number} attempt 当前尝试次数
+ * @returns {Number} 等待的毫秒数
+ */
+function getRetryDelay(retry, error, attempt) {
+  const response = error && error.response
+  if (response && [429, 503].includes(response.status)) {
+    const retryAfter = helpers.parseRetryAfter(response.headers.get('Retry-After'))
+    if (retryAfter !== undefined) {
+      return Math.min(retryAfter, retry.maxDelay)
+    }
+  }
 
-  if (Array.isArray(logs) && logs.length) {
-    [, ...result] = logs
+  let delay = Math.min(retry.baseDelay * Math.pow(2, attempt - 1), retry.maxDelay)
+  // 随机抖动，避免大量请求在同一时间重试
+  if (retry.jitter) {
+    delay = delay / 2 + Math.random() * delay / 2
   }
+  return Math.round(delay)
+}
 
-  return result
+/**
+ * 等待重试，等待期间取消请求会立即结束
+ *
+ * @param {Object} retry 重试配置
+ * @param {Object} config 当前尝试的配置对象
+ * @param {Object} error 错误信息
+ * @param {Number} attempt 当前尝试次数
+ * @returns {Promise}
+ */
+function waitRetryDelay(retry, config, error, attempt) {
+  const delay = getRetryDelay(retry, error, attempt)
+  return new Promise(function waitRetry(resolve, reject) {
+    let unsubscribeCancel = noop
+    const timer = setTimeout(function onRetryTimeout() {
+      unsubscribeCancel()
+      resolve()
+    }, delay)
+    unsubscribeCancel = subscribeCancel(config, function onCancel(reason) {
+      clearTimeout(timer)
+      reject(reason)
+    })
+  })
 }
 
 
@@ -925,6 +6953,11 @@ Axios.prototype.request = function request(config) {
   // 将实例化时的配置与调用时的配置进行合并
   config = helpers.mergeConfig(this.defaults, config)
 
+  // 请求结束后才返回的响应结果无法边接收边读取，流式响应需要通过 axios.stream 发起
+  if (config.responseType === 'stream' && !(config.stream instanceof ResponseStream)) {
+    return Promise.reject(Error(`[${name}] 流式响应请使用 axios.stream 发起请求！`))
+  }
+
   // 设置请求方法
   if (config.method) {
     config.method = config.method.toUpperCase()
@@ -939,7 +6972,12 @@ Axios.prototype.request = function request(config) {
 
   // 获取请求拦截器列表
   const requestInterceptors = []
+  let synchronousRequestInterceptors = true
   this.interceptors.request.forEach(function unshiftRequestInterceptors(interceptor) {
+    if (utils.isFunction(interceptor.runWhen) && interceptor.runWhen(config) === false) {
+      return undefined
+    }
+    synchronousRequestInterceptors = synchronousRequestInterceptors && interceptor.synchronous
     requestInterceptors.unshift(interceptor.fulfilled, interceptor.rejected)
   })
 
@@ -949,28 +6987,53 @@ Axios.prototype.request = function request(config) {
     responseInterceptors.push(interceptor.fulfilled, interceptor.rejected)
   })
 
-  let newConfig = Object.assign(config)
+  let promise
+
+  if (synchronousRequestInterceptors) {
+    // 所有请求拦截器都为同步时，按照 Promise 链的规则同步处理
+    // 拦截器抛出的错误交给下一个拦截器的 onRejected 处理，未被处理的错误会终止请求
+    let newConfig = config
+    let hasError = false
+    let error
+
+    while (requestInterceptors.length) {
+      const onFulfilled = requestInterceptors.shift()
+      const onRejected = requestInterceptors.shift()
+
+      try {
+        if (hasError) {
+          if (utils.isFunction(onRejected)) {
+            newConfig = onRejected(error)
+            hasError = false
+          }
+        } else if (utils.isFunction(onFulfilled)) {
+          newConfig = onFulfilled(newConfig)
+        }
+      } catch (err) {
+        hasError = true
+        error = err
+      }
+    }
 
-  // 循环处理请求拦截
-  while (requestInterceptors.length) {
-    const onFulfilled = requestInterceptors.shift()
-    const onRejected = requestInterceptors.shift()
+    if (hasError) {
+      return Promise.reject(error)
+    }
 
+    // 开始派发请求
     try {
-      newConfig = onFulfilled(newConfig)
+      promise = dispatchRequest(newConfig)
     } catch(err) {
-      onRejected(err)
-      break
+      return Promise.reject(err)
+    }
+  } else {
+    // 循环处理请求拦截，拦截器可以返回 Promise，异步得到配置对象后再派发请求
+    promise = Promise.resolve(config)
+    while (requestInterceptors.length) {
+      promise = promise.then(requestInterceptors.shift(), requestInterceptors.shift())
     }
-  }
-
-  let promise
 
-  // 开始派发请求
-  try {
-    promise = dispatchRequest(newConfig)
-  } catch(err) {
-    return Promise.reject(err)
+    // 开始派发请求
+    promise = promise.then(dispatchRequest)
   }
 
   // 循环处理响应拦截
@@ -989,19 +7052,61 @@ utils.each(methods, function axiosRequestMethod(method) {
       config = url
       url = config.url || ''
     }
-    if (utils.isPlainObject(data) && !config) {
+    // 不带请求体的请求只传入两个参数时，第二个参数为配置对象 axios.get(url, config)
+    if (noDataMethod.includes(method) && utils.isPlainObject(data) && !config) {
       config = data
+      data = undefined
     }
     return this.request(helpers.mergeConfig(config || {}, {
       url: url,
       method: method,
-      data: noDataMethod
-              ? (config || {}).data
-              : data || (config || {}).data
+      data: data === undefined ? (config || {}).data : data
     }))
   }
 })
 
+/**
+ * 开启身份认证，token 过期时自动刷新并重新发送请求
+ *
+ * @param {Object} options 参考 AuthManager
+ * @returns {AuthManager}
+ *
+ * @example
+ *
+ * axios.useAuth({
+ *   getToken: () => wx.getStorageSync('token'),
+ *   refreshToken: () => axios.post('/token/refresh', null, { skipAuth: true }).then(res => wx.setStorageSync('token', res.data.token)),
+ * })
+ */
+Axios.prototype.useAuth = function useAuth(options) {
+  return new AuthManager(this, options)
+}
+
+/**
+ * 开启登录态管理，自动调用 wx.login 换取登录态，过期时静默重新登录
+ *
+ * @param {Object} options 参考 SessionManager
+ * @returns {SessionManager}
+ *
+ * @example
+ *
+ * axios.useSession({ loginUrl: '/wx/login' })
+ * axios.get('/user/info', { requiresSession: true })
+ */
+Axios.prototype.useSession = function useSession(options) {
+  return new SessionManager(this, options)
+}
+
+/**
+ * 使用模拟请求适配器
+ *
+ * @param {Object} options 参考 MockAdapter
+ * @returns {MockAdapter}
+ */
+Axios.prototype.useMock = function useMock(options) {
+  return new MockAdapter(this, options)
+}
+
 /**
  * wx.uploadFile 请求别名
  *
@@ -1013,7 +7118,7 @@ utils.each(methods, function axiosRequestMethod(method) {
  * axios.uploadFile('www.abc.com', 'filePath', 'name', {...config})
  * axios.uploadFile({ url: 'www.abc.com', filePath: 'filePath', name: 'name', ...config })
  */
-Axios.prototype.uploadFile = function(url, filePath, name, config) {
+Axios.prototype.uploadFile = function(url, filePath, fieldName, config) {
   // 兼容参数类型
   const args = arrProto.slice.call(arguments)
   let index = -1
@@ -1030,29 +7135,109 @@ Axios.prototype.uploadFile = function(url, filePath, name, config) {
       config = url
       url = config.url || ''
       filePath = config.filePath || ''
-      name = config.name || ''
+      fieldName = config.name || ''
     } else if (index === 1) {
       config = filePath
       filePath = config.filePath || ''
-      name = config.name || ''
+      fieldName = config.name || ''
     } else if (index === 2) {
-      config = name
-      name = config.name || ''
+      config = fieldName
+      fieldName = config.name || ''
     }
   }
 
   filePath = filePath || (config || {}).filePath
-  name = name || (config || {}).name
-  if (!filePath || !name) {
+  fieldName = fieldName || (config || {}).name
+  if (!filePath || !fieldName) {
     throw Error(`[${name}] wx.uploadFile 需要传入 name filePath 属性！`)
   }
 
-  return this.request(helpers.mergeConfig(config || {}, {
+  const uploadConfig = helpers.mergeConfig(config || {}, {
     method: 'POST',
     url: url || (config || {}).url,
     filePath: filePath,
-    name: name
-  }))
+    name: fieldName
+  })
+
+  // 服务端已有相同摘要的文件时跳过上传，未设置时使用实例的默认配置
+  if (uploadConfig.dedupeByHash === undefined && this.defaults) {
+    uploadConfig.dedupeByHash = this.defaults.dedupeByHash
+  }
+  if (uploadConfig.dedupeByHash) {
+    return uploadFileByHash(this, uploadConfig)
+  }
+
+  return this.request(uploadConfig)
+}
+
+/**
+ * 批量上传文件
+ *
+ * @param {Array} files 文件列表 [{ filePath, name, formData }]
+ * @param {Object} options 参考 uploadFiles
+ * @returns {Promise} { results, succeeded, failed }
+ *
+ * @example
+ *
+ * axios.uploadFiles(tempFilePaths.map(filePath => ({ filePath, formData: { type: 'evidence' } })), {
+ *   url: '/upload',
+ *   concurrency: 3,
+ *   retries: 1,
+ *   onProgressUpdate: ({ progress, file }) => {},
+ * })
+ */
+Axios.prototype.uploadFiles = function(files, options) {
+  return uploadFiles(this, files, options)
+}
+
+/**
+ * 大文件分片上传，支持断点续传
+ *
+ * @param {String} filePath 文件路径
+ * @param {Object} options 参考 uploadLarge
+ * @returns {Promise} { response, fileKey, size, totalChunks, resumedChunks }
+ *
+ * @example
+ *
+ * axios.uploadLarge(tempFilePath, {
+ *   url: 'https://bucket.cos.ap-guangzhou.myqcloud.com/videos/a.mp4',
+ *   onProgressUpdate: ({ progress }) => {},
+ * })
+ */
+Axios.prototype.uploadLarge = function(filePath, options) {
+  return uploadLarge(this, filePath, options)
+}
+
+/**
+ * 通过预签名地址直传对象存储
+ *
+ * @param {Object} options 参考 uploadToPresigned
+ * @returns {Promise} response
+ *
+ * @example
+ *
+ * axios.uploadToPresigned({ filePath: tempFilePath, url: presignedUrl, method: 'PUT' })
+ * axios.uploadToPresigned({ filePath: tempFilePath, url: 'https://bucket.oss-cn-hangzhou.aliyuncs.com', method: 'POST', fields: policy })
+ */
+Axios.prototype.uploadToPresigned = function(options) {
+  return uploadToPresigned(this, options)
+}
+
+/**
+ * 流式请求
+ *
+ * @param {Object} config 配置对象
+ * @returns {ResponseStream} 数据流
+ *
+ * @example
+ *
+ * const stream = axios.stream({ url: '/chat', method: 'POST', data: { prompt } })
+ * for await (const text of stream) {
+ *   this.setData({ answer: this.data.answer + text })
+ * }
+ */
+Axios.prototype.stream = function(config) {
+  return stream(this, config)
 }
 
 /**
@@ -1115,8 +7300,20 @@ function dispatchRequest(config) {
     throw Error(nonConfigError)
   }
 
+  // 请求拦截器处理期间可能已经取消了请求
+  throwIfCancellationRequested(config)
+
   // 在请求拦截器流程处理完成后再次处理data、header参数
 
+  // 使用已转换过的配置对象（如 error.config）重新发起请求时还原转换前的数据，避免重复转换
+  if (objProto.hasOwnProperty.call(config, 'transformedData')) {
+    if (config.data === config.transformedData) {
+      config.data = config.sourceData
+    }
+    delete config.sourceData
+    delete config.transformedData
+  }
+
   // 处理data参数
   config.data = config.data || {}
 
@@ -1131,40 +7328,150 @@ function dispatchRequest(config) {
     delete config.header[method]
   })
   delete config.header.common
+  // 大小写不同的同名请求头只保留后设置的，如请求中的 Content-Type 覆盖默认的 content-type
+  const header = {}
+  utils.each(Object.keys(config.header), function dedupeHeader(key) {
+    setHeaderValue(header, key, config.header[key])
+  })
+  // 值为 null 的请求头不发送，用于去掉实例的默认请求头
+  utils.each(Object.keys(header), function deleteNullHeader(key) {
+    if (header[key] == null) {
+      delete header[key]
+    }
+  })
+  config.header = header
 
   let adapter = config.adapter(config)
   config.adapterName = adapter.adapterName
-  return adapter.adapter(config).then(function onAdapterResolve(response) {
-    // 如果配置了forcedJSONParsing，响应data为JSON字符串时自动解析
-    if (config.validateStatus(response.statusCode) && config.forcedJSONParsing) {
-      const rawData = response.data
-      if (utils.isString(rawData)) {
+
+  // 断网时进入离线队列，优先读取缓存，相同的请求共用同一个进行中的请求
+  return offlineQueue.request(config, function queueRequest(queueConfig) {
+    return responseCache.request(queueConfig, function fetchRequest(cacheConfig) {
+      return dedupeRequest(cacheConfig, function sendRequest(requestConfig) {
+        return sendAttempts(requestConfig, adapter.adapter)
+      })
+    })
+  })
+}
+
+/**
+ * 调用适配器发起请求，命中重试规则时重新调用适配器
+ *
+ * @param {Object} config 配置对象
+ * @param {Function} adapter 适配器
+ * @returns {Promise} 返回经过适配器处理后的请求Promise结果
+ */
+function sendAttempts(config, adapter) {
+  const retry = getRetryConfig(config)
+
+  // 每次尝试都会重新调用适配器
+  function sendAttempt(attempt) {
+    // 每次尝试使用独立的配置对象，避免适配器重复拼接地址参数
+    const attemptConfig = Object.assign({}, config, { attempt })
+    attemptConfig.header = Object.assign({}, config.header)
+
+    // FormData 中的文件读取完成后再发起请求
+    if (config.data instanceof FormData && !config.data.isReady()) {
+      return config.data.ready().then(function sendReadyAttempt() {
+        return sendAttempt(attempt)
+      })
+    }
+
+    // 每次尝试都基于转换前的数据重新执行 transformRequest
+    // wx.connectSocket 没有请求体，不做转换
+    if (config.adapterName !== 'wx.connectSocket') {
+      try {
+        attemptConfig.data = transformData(attemptConfig, attemptConfig.transformRequest, config.data, attemptConfig.header)
+      } catch (err) {
+        return Promise.reject(err)
+      }
+      attemptConfig.sourceData = config.data
+      attemptConfig.transformedData = attemptConfig.data
+    }
+
+    // 经过调度器控制并发数以及优先级
+    return scheduler.schedule(config.adapterName, attemptConfig, function callAdapter() {
+      return adapter(attemptConfig)
+    }).then(function onAdapterResolve(rawResponse) {
+      throwIfCancellationRequested(attemptConfig)
+
+      // 不同适配器的响应结果统一为相同的结构
+      const response = buildResponse(rawResponse, attemptConfig)
+      const request = response.request
+      const status = response.status
+      // wx.connectSocket 没有响应状态码，不做校验
+      const isValidStatus = status === undefined || attemptConfig.validateStatus(status)
+
+      // 执行 transformResponse，默认包含 forcedJSONParsing 的 JSON 解析
+      // 状态码校验失败时同样尝试转换，转换失败时保留原始数据，便于从错误信息中读取响应数据
+      if (status !== undefined) {
         try {
-          response.data = JSON.parse(rawData)
+          response.data = transformData(attemptConfig, attemptConfig.transformResponse, response.data, response.headers)
         } catch (err) {
-          if (err.name === 'SyntaxError') {
-            throw Error(`[${name}] 数据解析失败，出现了语法错误！`)
+          if (isValidStatus) {
+            recordRequest(attemptConfig, response)
+            if (isAxiosError(err)) {
+              throw err
+            }
+            if (err && err.name === 'SyntaxError') {
+              throw new AxiosError(`[${name}] 数据解析失败，出现了语法错误！`, AxiosError.ERR_PARSE, attemptConfig, request, response)
+            }
+            throw new AxiosError((err && err.message) || `[${name}] 响应数据转换失败！`, AxiosError.ERR_BAD_RESPONSE, attemptConfig, request, response)
           }
         }
       }
-    }
 
-    // 如果配置了printFulfilledRequest，整个请求完成控制台打印出请求信息
-    if (config.openLocalPrinter) {
-      config.printManager.printRequest(config, response)
-    }
+      recordRequest(attemptConfig, response)
+
+      // 根据 validateStatus 判断响应是否成功
+      if (!isValidStatus) {
+        throw new AxiosError(
+          `[${name}] 请求失败，响应状态码为 ${status}！`,
+          status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+          attemptConfig,
+          request,
+          response
+        )
+      }
 
-    // 本地日志
-    if (config.openLocalLogger) {
-      try {
-        config.logManager.set(config, response)
-      } catch (err) {}
-    }
+      return response
+    }, function onAdapterReject(err) {
+      if (!isCancel(err)) {
+        recordRequest(attemptConfig, err)
+      }
+      return Promise.reject(err)
+    }).catch(function onAttemptError(err) {
+      // 命中重试规则时重新发起请求
+      if (shouldRetryRequest(retry, attemptConfig, err, attempt)) {
+        return waitRetryDelay(retry, attemptConfig, err, attempt).then(function retryAttempt() {
+          return sendAttempt(attempt + 1)
+        })
+      }
+      return Promise.reject(err)
+    })
+  }
 
-    return response
-  }, function onAdapterReject(err) {
-    return Promise.reject(err)
-  })
+  return sendAttempt(1)
+}
+
+/**
+ * 本地打印、本地日志记录每一次请求
+ *
+ * @param {Object} config 配置对象
+ * @param {Object} response 响应结果或错误信息
+ */
+function recordRequest(config, response) {
+  // 如果配置了openLocalPrinter，整个请求完成控制台打印出请求信息
+  if (config.printManager && isLocalRecordEnabled(config.openLocalPrinter)) {
+    config.printManager.printRequest(config, response)
+  }
+
+  // 本地日志
+  if (config.logManager && isLocalRecordEnabled(config.openLocalLogger)) {
+    try {
+      config.logManager.set(config, response)
+    } catch (err) {}
+  }
 }
 
 /**
@@ -1235,4 +7542,52 @@ axios.race = function race(promises) {
 // 暴露Axios类，提供类继承等功能
 axios.Axios = Axios
 
+// 取消请求
+axios.CancelToken = CancelToken
+axios.Cancel = CanceledError
+axios.CanceledError = CanceledError
+axios.AbortController = AbortController
+axios.isCancel = isCancel
+
+// 响应缓存
+axios.cache = responseCache
+
+// 离线队列
+axios.offlineQueue = offlineQueue
+
+// 模拟请求
+axios.MockAdapter = MockAdapter
+
+// 表单数据
+axios.FormData = FormData
+
+// 下载管理
+axios.downloads = downloadManager
+
+// 文件缓存
+axios.fileCache = fileCache
+
+// 流式响应
+axios.ResponseStream = ResponseStream
+
+// 分片上传协议
+axios.multipartProtocols = {
+  s3: createS3MultipartProtocol
+}
+
+// 运行平台
+axios.setPlatform = setPlatform
+axios.getPlatform = getPlatform
+axios.platforms = Object.assign({}, platformDrivers, {
+  memory: createMemoryPlatform
+})
+
+// 请求调度
+axios.scheduler = scheduler
+axios.RequestScheduler = RequestScheduler
+
+// 错误处理
+axios.AxiosError = AxiosError
+axios.isAxiosError = isAxiosError
+
 module.exports = axios
\ No newline at end of file